@@ -0,0 +1,18 @@
+/* ============================================================
+   Engine benchmark from the command line: npm run benchmark
+   Prints ticks per second by agent count (benchmark.js), run
+   on this thread.
+============================================================ */
+import { runBenchmark } from "../src/simulation/benchmark.js";
+import { createWorkerPool } from "../src/simulation/workerPool.js";
+
+console.log("agents  ticks/s  ms/tick");
+await runBenchmark({
+  pool: createWorkerPool(1),
+  onResult: ({ agents, ticks, seconds, ticksPerSecond }) =>
+    console.log(
+      `${String(agents).padStart(6)}  ${ticksPerSecond.toFixed(1).padStart(7)}  ${((seconds * 1000) / ticks)
+        .toFixed(2)
+        .padStart(7)}`
+    ),
+});
@@ -1,424 +1,81 @@
-import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import { Play, Pause, RotateCcw, Target, Shield, Package, Eye, Users, TrendingUp, AlertTriangle, Clock, Map, Award, Settings } from 'lucide-react';
-
-// Configuration constants
-const SIMULATION_CONFIG = {
-  GRID_SIZE: 400,
-  NUM_THEATERS: 4,
-  UPDATE_INTERVAL: 50,
-  STRATEGY_SWITCH_TIME: { min: 3, max: 5 },
-  ENGAGEMENT_DISTANCE: 35,
-  HIT_DAMAGE: 2,
-  BASE_SUCCESS_PROBABILITY: 50
-};
-
-// Custom hook for simulation logic
-const useSimulation = (mode, policy, logistics, currentStrategy) => {
-  const [theaters, setTheaters] = useState([]);
-  const [agents, setAgents] = useState([]);
-
-  const initializeMode = useCallback((selectedMode) => {
-    if (selectedMode === 'multi-theater') {
-      initMultiTheater();
-    } else {
-      initStandardMode();
-    }
-  }, []);
-
-  const initMultiTheater = useCallback(() => {
-    const newTheaters = [];
-    for (let t = 0; t < SIMULATION_CONFIG.NUM_THEATERS; t++) {
-      const theaterAgents = [];
-      const numAgents = 8 + Math.floor(Math.random() * 5);
-      const numTargets = 2 + Math.floor(Math.random() * 3);
-      
-      for (let i = 0; i < numAgents; i++) {
-        theaterAgents.push({
-          id: `t${t}-b${i}`,
-          x: Math.random() * SIMULATION_CONFIG.GRID_SIZE * 0.25,
-          y: Math.random() * SIMULATION_CONFIG.GRID_SIZE,
-          vx: 0,
-          vy: 0,
-          team: 'blue',
-          active: true,
-          fuel: 100,
-          ammo: 100
-        });
-      }
-      
-      for (let i = 0; i < numTargets; i++) {
-        theaterAgents.push({
-          id: `t${t}-r${i}`,
-          x: SIMULATION_CONFIG.GRID_SIZE * 0.7 + Math.random() * SIMULATION_CONFIG.GRID_SIZE * 0.25,
-          y: Math.random() * SIMULATION_CONFIG.GRID_SIZE,
-          team: 'red',
-          health: 100
-        });
-      }
-      
-      newTheaters.push({
-        id: t,
-        name: ['Northern Front', 'Eastern Sector', 'Southern Theater', 'Western Zone'][t],
-        agents: theaterAgents,
-        priority: Math.random()
-      });
-    }
-    
-    setTheaters(newTheaters);
-  }, []);
-
-  const initStandardMode = useCallback(() => {
-    const newAgents = [];
-    
-    for (let i = 0; i < 20; i++) {
-      newAgents.push({
-        id: `b${i}`,
-        x: Math.random() * SIMULATION_CONFIG.GRID_SIZE * 0.3,
-        y: Math.random() * SIMULATION_CONFIG.GRID_SIZE,
-        vx: 0,
-        vy: 0,
-        team: 'blue',
-        active: true
-      });
-    }
-    
-    for (let i = 0; i < 6; i++) {
-      newAgents.push({
-        id: `r${i}`,
-        x: SIMULATION_CONFIG.GRID_SIZE * 0.7 + Math.random() * SIMULATION_CONFIG.GRID_SIZE * 0.2,
-        y: Math.random() * SIMULATION_CONFIG.GRID_SIZE,
-        team: 'red',
-        health: 100
-      });
-    }
-    
-    setAgents(newAgents);
-  }, []);
-
-  const findNearest = useCallback((agent, targets) => {
-    if (targets.length === 0) return null;
-    
-    let nearest = targets[0];
-    let minDistance = Infinity;
-
-    for (const target of targets) {
-      const distance = Math.sqrt(
-        Math.pow(target.x - agent.x, 2) + 
-        Math.pow(target.y - agent.y, 2)
-      );
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearest = target;
-      }
-    }
-    
-    return nearest;
-  }, []);
-
-  const updateMultiTheater = useCallback(() => {
-    setTheaters(prevTheaters => {
-      return prevTheaters.map(theater => {
-        const updatedAgents = theater.agents.map(agent => {
-          if (agent.team === 'blue' && agent.active) {
-            const redTargets = theater.agents.filter(a => a.team === 'red' && a.health > 0);
-            const nearest = findNearest(agent, redTargets);
-            
-            if (!nearest) return agent;
-
-            const behavior = getStrategyBehavior(agent, nearest, currentStrategy);
-            
-            let aggressionMod = 1;
-            if (policy.roe === 'defensive') aggressionMod = 0.5;
-            if (policy.roe === 'aggressive') aggressionMod = 1.5;
-            
-            const newVx = behavior.vx * aggressionMod;
-            const newVy = behavior.vy * aggressionMod;
-            const transportMod = logistics.transportCapacity / 100;
-            
-            let newX = agent.x + newVx * transportMod;
-            let newY = agent.y + newVy * transportMod;
-            
-            // Boundary checking
-            newX = Math.max(0, Math.min(SIMULATION_CONFIG.GRID_SIZE, newX));
-            newY = Math.max(0, Math.min(SIMULATION_CONFIG.GRID_SIZE, newY));
-            
-            return {
-              ...agent,
-              vx: newVx,
-              vy: newVy,
-              x: newX,
-              y: newY
-            };
-          }
-          return agent;
-        });
-
-        // Handle red agent damage
-        const finalAgents = updatedAgents.map(agent => {
-          if (agent.team === 'red' && agent.health > 0) {
-            const blueAgents = updatedAgents.filter(a => a.team === 'blue' && a.active);
-            let totalDamage = 0;
-            
-            for (const blueAgent of blueAgents) {
-              const distance = Math.sqrt(
-                Math.pow(blueAgent.x - agent.x, 2) + 
-                Math.pow(blueAgent.y - agent.y, 2)
-              );
-              
-              if (distance < SIMULATION_CONFIG.ENGAGEMENT_DISTANCE) {
-                const hitChance = logistics.commsReliability / 100;
-                if (Math.random() < hitChance) {
-                  let damage = SIMULATION_CONFIG.HIT_DAMAGE;
-                  if (policy.roe === 'defensive') damage *= 0.5;
-                  if (policy.roe === 'aggressive') damage *= 1.5;
-                  totalDamage += damage;
-                }
-              }
-            }
-            
-            if (totalDamage > 0) {
-              return {
-                ...agent,
-                health: Math.max(0, agent.health - totalDamage)
-              };
-            }
-          }
-          return agent;
-        });
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Play, Pause, RotateCcw, Target, Shield, Package, Eye, Users, TrendingUp, AlertTriangle, Clock, Map, Award, Settings, Shuffle, Upload, Download, X, Edit3, History, StepBack, StepForward, FileText } from 'lucide-react';
 
-        return { ...theater, agents: finalAgents };
-      });
-    });
-  }, [currentStrategy, policy.roe, logistics.transportCapacity, logistics.commsReliability, findNearest]);
-
-  const updateStandardMode = useCallback(() => {
-    setAgents(prevAgents => {
-      let updatedAgents = prevAgents.map(agent => {
-        if (agent.team === 'blue' && agent.active) {
-          const redTargets = prevAgents.filter(a => a.team === 'red' && a.health > 0);
-          const nearest = findNearest(agent, redTargets);
-          
-          if (!nearest) return agent;
-
-          const behavior = getStrategyBehavior(agent, nearest, currentStrategy);
-          
-          let newX = agent.x + behavior.vx;
-          let newY = agent.y + behavior.vy;
-          
-          // Boundary checking
-          newX = Math.max(0, Math.min(SIMULATION_CONFIG.GRID_SIZE, newX));
-          newY = Math.max(0, Math.min(SIMULATION_CONFIG.GRID_SIZE, newY));
-          
-          return {
-            ...agent,
-            vx: behavior.vx,
-            vy: behavior.vy,
-            x: newX,
-            y: newY
-          };
-        }
-        return agent;
-      });
+import { DEFAULT_VICTORY_CONDITIONS, SIMULATION_CONFIG, STRATEGIES, UNIT_TYPES } from './simulation/config.js';
+import { interpolateState } from './simulation/clock.js';
+import { getAllAgents } from './simulation/engine.js';
+import { allocationShares } from './simulation/allocation.js';
+import { createHistory, historyBattles, recordHistory } from './simulation/history.js';
+import { planInputs, sampleStrategy } from './simulation/optimizer.js';
+import { isBrokenDown } from './simulation/maintenance.js';
+import { findAgentAt, findAgentsInBox, HOLD_ORDER } from './simulation/orders.js';
+import { createRng, deriveSeed, randomSeed } from './simulation/random.js';
+import { frameAtTime, replayLength, replayTime, seekReplay } from './simulation/replay.js';
+import { addSnapshot, buildReport, renderReport } from './simulation/report.js';
+import { parseScenario, scenarioFromState, serializeScenario } from './simulation/scenario.js';
+import { addObjective, addUnit, addZone, EDITOR_TOOLS, eraseAt, findUnitAt, nextUnitId, removeUnit, renameTheater, updateUnit } from './simulation/scenarioEditor.js';
+import { getSensorRadius, isObserved, isStale } from './simulation/sensors.js';
+import { forceCost, unitType } from './simulation/units.js';
+import BenchmarkPanel from './components/BenchmarkPanel.jsx';
+import ChartsPanel from './components/ChartsPanel.jsx';
+import OutcomeBanner from './components/OutcomeBanner.jsx';
+import SweepPanel from './components/SweepPanel.jsx';
+import VictoryPanel from './components/VictoryPanel.jsx';
+import { useFrameLoop } from './hooks/useFrameLoop.js';
+import { useSimulation } from './hooks/useSimulation.js';
+import { useStrategyEvaluation } from './hooks/useStrategyEvaluation.js';
+import { getProfile, hasPanel } from './profiles.js';
 
-      // Handle red agent damage
-      updatedAgents = updatedAgents.map(agent => {
-        if (agent.team === 'red' && agent.health > 0) {
-          const blueAgents = updatedAgents.filter(a => a.team === 'blue' && a.active);
-          let totalDamage = 0;
-          
-          for (const blueAgent of blueAgents) {
-            const distance = Math.sqrt(
-              Math.pow(blueAgent.x - agent.x, 2) + 
-              Math.pow(blueAgent.y - agent.y, 2)
-            );
-            
-            if (distance < SIMULATION_CONFIG.ENGAGEMENT_DISTANCE) {
-              totalDamage += SIMULATION_CONFIG.HIT_DAMAGE;
-            }
-          }
-          
-          if (totalDamage > 0) {
-            return {
-              ...agent,
-              health: Math.max(0, agent.health - totalDamage)
-            };
-          }
-        }
-        return agent;
-      });
-
-      return updatedAgents;
-    });
-  }, [currentStrategy, findNearest]);
-
-  return {
-    theaters,
-    agents,
-    initializeMode,
-    updateMultiTheater,
-    updateStandardMode
-  };
+// Save text as a file through a temporary download link
+const downloadFile = (name, contents, type) => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
 };
 
-// Custom hook for strategy evaluation
-const useStrategyEvaluation = () => {
-  const [exploredCOAs, setExploredCOAs] = useState(0);
-  const [bestCOAs, setBestCOAs] = useState([]);
-
-  const evaluateCurrentStrategy = useCallback((currentStrategy, strategies, mode, theaters, agents, policy, logistics, timeElapsed) => {
-    const allAgents = mode === 'multi-theater' 
-      ? theaters.flatMap(t => t.agents)
-      : agents;
-    
-    const blueAgents = allAgents.filter(a => a.team === 'blue' && a.active);
-    const redTargets = allAgents.filter(a => a.team === 'red' && a.health > 0);
-    
-    if (blueAgents.length === 0) return;
-    
-    let totalDistance = 0;
-    let validAgents = 0;
-    
-    for (const agent of blueAgents) {
-      const nearest = findNearest(agent, redTargets);
-      if (nearest) {
-        totalDistance += Math.sqrt(
-          Math.pow(nearest.x - agent.x, 2) + 
-          Math.pow(nearest.y - agent.y, 2)
-        );
-        validAgents++;
-      }
-    }
-    
-    if (validAgents === 0) return;
-    
-    const avgDistToTarget = totalDistance / validAgents;
-    const proximityScore = Math.max(0, 100 - avgDistToTarget / 5);
-    const policyBonus = policy.forceLevel / 100 * 20;
-    const logisticsBonus = logistics.commsReliability / 100 * 15;
-    
-    const totalScore = Math.floor(
-      (proximityScore * 0.6 + policyBonus + logisticsBonus) * 
-      (Math.random() * 0.3 + 0.85)
-    );
-    
-    const strategyObj = strategies.find(s => s.approach === currentStrategy);
-    const strategyName = strategyObj ? strategyObj.name : 'Unknown';
-    
-    setBestCOAs(prev => {
-      const newCOA = {
-        id: Date.now(), // Use timestamp for unique ID
-        name: `COA-${exploredCOAs}`,
-        strategy: strategyName,
-        score: Math.min(100, Math.max(0, totalScore)),
-        time: timeElapsed.toFixed(1)
-      };
-      
-      const updated = [...prev, newCOA]
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 10);
-      
-      return updated;
-    });
-    
-    setExploredCOAs(prev => prev + 1);
-  }, [exploredCOAs]);
-
-  const resetEvaluation = useCallback(() => {
-    setExploredCOAs(0);
-    setBestCOAs([]);
-  }, []);
-
+// After-action report snapshot (report.js) of the canvases showing state
+const captureSnapshot = (canvases, state, label) => {
+  const names = state.mode === 'multi-theater' ? state.theaters.map(t => t.name) : ['Battlespace'];
   return {
-    exploredCOAs,
-    bestCOAs,
-    evaluateCurrentStrategy,
-    resetEvaluation
+    time: state.time,
+    label,
+    images: names
+      .map((name, i) => canvases[i] && { name, src: canvases[i].toDataURL('image/png') })
+      .filter(Boolean)
   };
 };
 
-// Strategy behavior function (moved outside for pure function)
-const getStrategyBehavior = (agent, nearest, strategyApproach, timeElapsed = 0) => {
-  if (!nearest) return { vx: 0, vy: 0 };
-  
-  const dx = nearest.x - agent.x;
-  const dy = nearest.y - agent.y;
-  const baseAngle = Math.atan2(dy, dx);
-  const dist = Math.sqrt(dx * dx + dy * dy);
-  const agentNum = parseInt(agent.id.match(/\d+/)?.[0] || 0);
-  
-  const strategies = [
-    { name: 'Direct Assault', approach: 'direct', speed: 2.5, coordination: 0.3 },
-    { name: 'Flanking Maneuver', approach: 'flank', speed: 2, coordination: 0.7 },
-    { name: 'Pincer Movement', approach: 'pincer', speed: 2, coordination: 0.9 },
-    { name: 'Dispersed Engagement', approach: 'dispersed', speed: 1.8, coordination: 0.2 },
-    { name: 'Concentrated Strike', approach: 'concentrated', speed: 3, coordination: 0.8 },
-    { name: 'Hit and Run', approach: 'hitrun', speed: 3.5, coordination: 0.4 }
-  ];
-  
-  const strategyConfig = strategies.find(s => s.approach === strategyApproach) || strategies[0];
-  let angle = baseAngle;
-  let speedMod = strategyConfig.speed;
-  
-  switch(strategyApproach) {
-    case 'direct':
-      angle = baseAngle;
-      break;
-    case 'flank':
-      angle = baseAngle + (agentNum % 2 === 0 ? Math.PI / 3 : -Math.PI / 3);
-      break;
-    case 'pincer':
-      angle = baseAngle + (agentNum % 2 === 0 ? Math.PI / 2.5 : -Math.PI / 2.5);
-      break;
-    case 'dispersed':
-      angle = baseAngle + (Math.random() - 0.5) * Math.PI / 2;
-      break;
-    case 'concentrated':
-      angle = baseAngle + Math.sin(timeElapsed + agentNum) * 0.3;
-      break;
-    case 'hitrun':
-      if (dist < 80) {
-        angle = baseAngle + Math.PI;
-        speedMod *= 1.5;
-      }
-      break;
-    default:
-      angle = baseAngle;
-  }
-  
-  return {
-    vx: Math.cos(angle) * speedMod,
-    vy: Math.sin(angle) * speedMod
-  };
-};
-
-// Helper function for findNearest
-const findNearest = (agent, targets) => {
-  if (targets.length === 0) return null;
-  
-  let nearest = targets[0];
-  let minDistance = Infinity;
-
-  for (const target of targets) {
-    const distance = Math.sqrt(
-      Math.pow(target.x - agent.x, 2) + 
-      Math.pow(target.y - agent.y, 2)
-    );
-    if (distance < minDistance) {
-      minDistance = distance;
-      nearest = target;
-    }
-  }
-  
-  return nearest;
-};
-
-const SCEPTERComplete = () => {
+// The application shell: every presentation (profiles.js) of the strategy
+// engine, with the branding, optional panels, loop and exploration style
+// its profile selects
+const App = ({ profile = getProfile() }) => {
   const [mode, setMode] = useState('multi-theater');
   const [isRunning, setIsRunning] = useState(false);
-  const [speed, setSpeed] = useState(50);
+  const [speed, setSpeed] = useState(profile.speed); // percent of real time
   const [timeElapsed, setTimeElapsed] = useState(0);
   const [currentStrategy, setCurrentStrategy] = useState('direct');
-  const [strategyTimer, setStrategyTimer] = useState(0);
+  const [seed, setSeed] = useState(randomSeed);
+  // Loaded scenario file (null = random spawns for the seed)
+  const [scenario, setScenario] = useState(null);
+  const [scenarioError, setScenarioError] = useState(null);
+  
+  // Scenario editor: edits go to the scenario, which re-initializes the run
+  const [editing, setEditing] = useState(false);
+  const [editorTool, setEditorTool] = useState('select');
+  const [editorSelection, setEditorSelection] = useState(null); // { theater, id }
+  const [editorDrag, setEditorDrag] = useState(null); // { theater, tool, id?, x0, y0, x1, y1 }
+  // Per-theater strategy overrides; null follows the controller's strategy
+  const [theaterStrategies, setTheaterStrategies] = useState(() => new Array(SIMULATION_CONFIG.NUM_THEATERS).fill(null));
+  
+  // Replay under review: { source, frame, state, time, playing, speed }
+  const [review, setReview] = useState(null);
+  
+  // Human vs AI selection state
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionBox, setSelectionBox] = useState(null);
   
   const [policy, setPolicy] = useState({
     forceLevel: 100,
@@ -434,6 +91,9 @@ const SCEPTERComplete = () => {
     transportCapacity: 100
   });
   
+  // Win/loss conditions (victory.js), applied from the next tick
+  const [victoryConditions, setVictoryConditions] = useState(DEFAULT_VICTORY_CONDITIONS);
+  
   const [missionMetrics, setMissionMetrics] = useState({
     successProbability: 75,
     predictedCasualties: 0,
@@ -441,118 +101,347 @@ const SCEPTERComplete = () => {
     resourceConsumption: 0,
     coverageGaps: []
   });
-  const lastFrameTime = useRef(performance.now());
 
-  
-  // Use custom hooks
+  // Chart samples of the run (history.js), kept through pauses until reset
+  const [chartSamples, setChartSamples] = useState([]);
+
+  // Shared hooks (src/hooks/)
   const {
+    simState,
     theaters,
     agents,
+    depot,
+    convoys,
+    suppliesDelivered,
+    beliefs,
+    simTime,
+    campaign,
+    reserves,
+    objectives,
+    zones,
+    terrain,
+    engagement,
+    previousState,
+    replays,
     initializeMode,
-    updateMultiTheater,
-    updateStandardMode
-  } = useSimulation(mode, policy, logistics, currentStrategy);
+    stepSimulation,
+    getState,
+    orderUnits,
+    changeTheaterPriority
+  } = useSimulation(mode, seed, policy, logistics, theaterStrategies, victoryConditions);
   
   const {
     exploredCOAs,
     bestCOAs,
+    optimizer,
+    error: evaluationError,
     evaluateCurrentStrategy,
+    optimizeCOAs,
+    startExploration,
+    stopExploration,
     resetEvaluation
   } = useStrategyEvaluation();
   
   const canvasRefs = useRef([]);
+  const fogCanvasRef = useRef(null);
+  const scenarioInputRef = useRef(null);
+  // Canvas snapshots for the after-action report, and when the next is due
+  const snapshotsRef = useRef({ list: [], next: 0 });
+  // Chart history, folded in every tick; null until the run's first state
+  const historyRef = useRef(null);
+  // Seeded stream for strategy switching and COA scoring, kept apart from the engine's
+  const controllerRng = useRef(createRng(deriveSeed(seed, 'controller')));
+  // Controller state advanced tick by tick, so a frame running several
+  // ticks switches strategy at the same simulated time as one running one;
+  // plan is the explored plan being followed ({ plan, start }, or none)
+  const controller = useRef({ strategy: 'direct', timer: 0, elapsed: 0 });
+  // Latest run state and sliders, refreshed every render: the optimizer
+  // reads it as each generation starts, and the mission metrics between renders
+  const liveContext = useRef(null);
+  useEffect(() => {
+    liveContext.current = { state: simState, policy, logistics, time: timeElapsed };
+  });
 
-  // Memoized strategies
-  const strategies = useMemo(() => [
-    { name: 'Direct Assault', approach: 'direct', speed: 2.5, coordination: 0.3 },
-    { name: 'Flanking Maneuver', approach: 'flank', speed: 2, coordination: 0.7 },
-    { name: 'Pincer Movement', approach: 'pincer', speed: 2, coordination: 0.9 },
-    { name: 'Dispersed Engagement', approach: 'dispersed', speed: 1.8, coordination: 0.2 },
-    { name: 'Concentrated Strike', approach: 'concentrated', speed: 3, coordination: 0.8 },
-    { name: 'Hit and Run', approach: 'hitrun', speed: 3.5, coordination: 0.4 }
-  ], []);
+  useEffect(() => {
+    document.title = profile.title;
+  }, [profile.title]);
 
   // Initialize canvas refs
   useEffect(() => {
     canvasRefs.current = canvasRefs.current.slice(0, SIMULATION_CONFIG.NUM_THEATERS);
   }, []);
 
-  // Mode initialization
+  // Mode, seed, scenario and force level initialization
+  const { forceLevel } = policy;
+  const handleInitializeMode = useCallback((selectedMode) => {
+    setIsRunning(false);
+    setReview(null);
+    setTimeElapsed(0);
+    setCurrentStrategy('direct');
+    controller.current = { strategy: 'direct', timer: 0, elapsed: 0 };
+    resetEvaluation();
+    setSelectedIds([]);
+    setSelectionBox(null);
+    controllerRng.current = createRng(deriveSeed(seed, 'controller'));
+    snapshotsRef.current = { list: [], next: 0 };
+    historyRef.current = null;
+    setChartSamples([]);
+    // A scenario only applies to the mode it was written for
+    initializeMode(selectedMode, seed, scenario && scenario.mode === selectedMode ? scenario : null, forceLevel);
+  }, [seed, scenario, forceLevel, resetEvaluation, initializeMode]);
+
   useEffect(() => {
     handleInitializeMode(mode);
-  }, [mode]);
+  }, [mode, handleInitializeMode]);
+
+  // Scenario files: loading switches to the scenario's mode and
+  // applies its seed and policy/logistics presets
+  const handleScenarioFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const loaded = parseScenario(reader.result);
+        setScenarioError(null);
+        setEditing(false);
+        setScenario(loaded);
+        setMode(loaded.mode);
+        if (loaded.seed !== null) setSeed(loaded.seed);
+        if (loaded.policy) setPolicy(prev => ({ ...prev, ...loaded.policy }));
+        if (loaded.logistics) setLogistics(prev => ({ ...prev, ...loaded.logistics }));
+      } catch (error) {
+        setScenarioError(error.message);
+      }
+    };
+    reader.readAsText(file);
+  };
 
-  const handleInitializeMode = (selectedMode) => {
+  // A snapshot holds only the committed blue units, so it records them
+  // as the full force; otherwise loading it would cut them down again
+  const snapshotPolicy = { ...policy, forceLevel: 100 };
+
+  // Save the current battlespace (surviving units where they stand)
+  const handleSaveScenario = () => {
+    const name = scenario && scenario.mode === mode ? scenario.name : `${profile.name} ${mode} ${seed}`;
+    const saved = scenarioFromState(simState, {
+      name,
+      description: scenario && scenario.mode === mode ? scenario.description : '',
+      policy: snapshotPolicy,
+      logistics
+    });
+    downloadFile(`${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`, serializeScenario(saved), 'application/json');
+  };
+
+  // After-action report of the current run as a printable HTML file
+  const handleGenerateReport = () => {
+    const snapshots = addSnapshot(
+      snapshotsRef.current.list,
+      captureSnapshot(canvasRefs.current, review ? review.state : simState, review ? 'Replay review' : 'Report')
+    );
+    const current = scenario && scenario.mode === mode ? scenario : null;
+    const report = buildReport({
+      title: current ? current.name : `${profile.name} ${mode} ${seed}`,
+      replay: replays.current,
+      state: simState,
+      policy,
+      logistics,
+      scenario: current,
+      coas: bestCOAs,
+      metrics: missionMetrics,
+      snapshots,
+      generatedAt: new Date().toLocaleString()
+    });
+    downloadFile(`aar-${mode}-${seed}.html`, renderReport(report), 'text/html');
+  };
+
+  // Scenario editor: snapshot the current layout as the scenario being edited
+  const isEditing = editing && scenario !== null && scenario.mode === mode;
+  const startEditing = () => {
     setIsRunning(false);
-    setTimeElapsed(0);
-    setStrategyTimer(0);
-    resetEvaluation();
-    initializeMode(selectedMode);
+    setReview(null);
+    setPolicy(snapshotPolicy);
+    setScenario(scenarioFromState(simState, {
+      name: scenario && scenario.mode === mode ? scenario.name : `${profile.name} ${mode} ${seed}`,
+      description: scenario && scenario.mode === mode ? scenario.description : '',
+      policy: snapshotPolicy,
+      logistics
+    }));
+    setEditorSelection(null);
+    setEditing(true);
   };
+  const editedUnit = isEditing && editorSelection
+    ? scenario.theaters[editorSelection.theater].units.find(u => u.id === editorSelection.id)
+    : null;
+  const editUnit = (changes) => setScenario(updateUnit(scenario, editorSelection.theater, editorSelection.id, changes));
 
-  // Main simulation loop
-  useEffect(() => {
-    if (!isRunning) return;
+  // Scenario editor canvas tools: click places units or erases, drag moves
+  // units and draws objective areas (centre to radius) and no-go zones
+  const handleEditorMouseDown = (e, theaterIndex) => {
+    if (e.button !== 0) return;
+    const { x, y } = toGridPoint(e);
+    if (editorTool === 'select') {
+      const unit = findUnitAt(scenario.theaters[theaterIndex], x, y);
+      setEditorSelection(unit ? { theater: theaterIndex, id: unit.id } : null);
+      if (unit) setEditorDrag({ theater: theaterIndex, tool: 'select', id: unit.id, x0: x, y0: y, x1: x, y1: y });
+    } else if (editorTool === 'blue' || editorTool === 'red') {
+      const id = nextUnitId(scenario, theaterIndex, editorTool);
+      setScenario(addUnit(scenario, theaterIndex, { id, team: editorTool, x, y }));
+      setEditorSelection({ theater: theaterIndex, id });
+    } else if (editorTool === 'erase') {
+      setScenario(eraseAt(scenario, theaterIndex, x, y));
+    } else {
+      setEditorDrag({ theater: theaterIndex, tool: editorTool, x0: x, y0: y, x1: x, y1: y });
+    }
+  };
+
+  const handleEditorMouseMove = (e) => {
+    if (!editorDrag) return;
+    const { x, y } = toGridPoint(e);
+    setEditorDrag({ ...editorDrag, x1: x, y1: y });
+    if (editorDrag.tool === 'select') setScenario(updateUnit(scenario, editorDrag.theater, editorDrag.id, { x, y }));
+  };
+
+  const handleEditorMouseUp = () => {
+    if (!editorDrag) return;
+    const drag = editorDrag;
+    setEditorDrag(null);
+    if (drag.tool === 'objective') setScenario(addObjective(scenario, drag.theater, drag));
+    if (drag.tool === 'zone') setScenario(addZone(scenario, drag.theater, drag));
+  };
+
+  // Human vs AI canvas controls: click or drag to select (shift adds),
+  // right-click ground to move, right-click a red agent to attack
+  const toGridPoint = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * SIMULATION_CONFIG.GRID_SIZE / rect.width,
+      y: (e.clientY - rect.top) * SIMULATION_CONFIG.GRID_SIZE / rect.height
+    };
+  };
+
+  const handleCanvasMouseDown = (e) => {
+    if (mode !== 'human-vs-ai' || review || e.button !== 0) return;
+    const { x, y } = toGridPoint(e);
+    setSelectionBox({ x0: x, y0: y, x1: x, y1: y });
+  };
+
+  const handleCanvasMouseMove = (e) => {
+    if (!selectionBox) return;
+    const { x, y } = toGridPoint(e);
+    setSelectionBox({ ...selectionBox, x1: x, y1: y });
+  };
+
+  const handleCanvasMouseUp = (e) => {
+    if (!selectionBox || e.button !== 0) return;
+    const box = selectionBox;
+    setSelectionBox(null);
     
-    const interval = setInterval(() => {
-      setTimeElapsed(t => t + 0.1);
-      setStrategyTimer(st => st + 0.1);
-      
-      // Strategy switching logic
-      if (strategyTimer > SIMULATION_CONFIG.STRATEGY_SWITCH_TIME.min + 
-          Math.random() * (SIMULATION_CONFIG.STRATEGY_SWITCH_TIME.max - SIMULATION_CONFIG.STRATEGY_SWITCH_TIME.min)) {
-        const newStrategy = strategies[Math.floor(Math.random() * strategies.length)];
-        setCurrentStrategy(newStrategy.approach);
-        setStrategyTimer(0);
-        evaluateCurrentStrategy(
-          newStrategy.approach, 
-          strategies, 
-          mode, 
-          theaters, 
-          agents, 
-          policy, 
-          logistics, 
-          timeElapsed
-        );
+    let picked;
+    if (Math.abs(box.x1 - box.x0) < 4 && Math.abs(box.y1 - box.y0) < 4) {
+      const hit = findAgentAt(agents, 'blue', box.x1, box.y1);
+      picked = hit ? [hit.id] : [];
+      if (e.shiftKey && hit && selectedIds.includes(hit.id)) {
+        setSelectedIds(selectedIds.filter(id => id !== hit.id));
+        return;
       }
-      
-      // Update simulation based on mode
-      if (mode === 'multi-theater') {
-        updateMultiTheater();
-      } else {
-        updateStandardMode();
-      }
-      
-      // Update mission metrics
-      updateMissionMetrics();
-      
-    }, SIMULATION_CONFIG.UPDATE_INTERVAL);
-    
-    return () => clearInterval(interval);
-  }, [
-    isRunning, 
-    mode, 
-    strategyTimer, 
-    currentStrategy, 
-    strategies, 
-    theaters, 
-    agents, 
-    policy, 
-    logistics, 
-    evaluateCurrentStrategy, 
-    updateMultiTheater, 
-    updateStandardMode
-  ]);
+    } else {
+      picked = findAgentsInBox(agents, box);
+    }
+    setSelectedIds(e.shiftKey ? [...new Set([...selectedIds, ...picked])] : picked);
+  };
+
+  const handleCanvasContextMenu = (e) => {
+    if (mode !== 'human-vs-ai') return;
+    e.preventDefault();
+    if (review || selectedIds.length === 0) return;
+    const { x, y } = toGridPoint(e);
+    const target = findAgentAt(agents, 'red', x, y, 12);
+    orderUnits(selectedIds, target ? { type: 'attack', targetId: target.id } : { type: 'move', x, y });
+  };
+
+  // Human vs AI keyboard shortcuts: H holds, Escape clears the selection
+  useEffect(() => {
+    if (mode !== 'human-vs-ai') return;
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+      if (e.key === 'h' || e.key === 'H') orderUnits(selectedIds, HOLD_ORDER);
+      if (e.key === 'Escape') setSelectedIds([]);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [mode, selectedIds, orderUnits]);
+
+  // Replay review: pauses the live run and scrubs a recording (this run,
+  // or the one before the last reset) on the canvases
+  const reviewReplay = review ? replays[review.source] : null;
+  const previousReplayUsable = replays.previous !== null && replays.previous.keyframes[0].state.mode === mode;
+
+  const openReview = (source) => {
+    setIsRunning(false);
+    const { frame, state } = seekReplay(replays[source], 0);
+    setReview({ source, frame, state, time: replayTime(replays[source], frame), playing: false, speed: 1 });
+  };
+
+  const seekReview = (frame) => {
+    const seeked = seekReplay(reviewReplay, frame, review);
+    setReview({ ...review, ...seeked, time: replayTime(reviewReplay, seeked.frame), playing: false });
+  };
 
+  const toggleReviewPlayback = () => {
+    // Playing from the end starts over
+    const restart = review.frame >= replayLength(reviewReplay);
+    const from = restart ? seekReplay(reviewReplay, 0) : review;
+    setReview({
+      ...review,
+      ...from,
+      time: restart ? replayTime(reviewReplay, 0) : review.time,
+      playing: !review.playing
+    });
+  };
+
+  // Playback: advance the playhead by wall-clock time x speed
+  const reviewPlaying = review !== null && review.playing;
+  const reviewSource = review ? review.source : null;
+  useEffect(() => {
+    if (!reviewPlaying) return;
+    const replay = replays[reviewSource];
+    let lastTick = performance.now();
+    let frameId;
+    const play = (now) => {
+      const delta = (now - lastTick) / 1000;
+      lastTick = now;
+      setReview(prev => {
+        const time = prev.time + delta * prev.speed;
+        const seeked = seekReplay(replay, frameAtTime(replay, time), prev);
+        return { ...prev, ...seeked, time, playing: seeked.frame < replayLength(replay) };
+      });
+      frameId = requestAnimationFrame(play);
+    };
+    frameId = requestAnimationFrame(play);
+    return () => cancelAnimationFrame(frameId);
+  }, [reviewPlaying, reviewSource, replays]);
+
+  // Mission metrics from the latest state and sliders, so the loop can
+  // refresh them between renders
   const updateMissionMetrics = useCallback(() => {
-    const allAgents = mode === 'multi-theater' 
-      ? theaters.flatMap(t => t.agents)
-      : agents;
+    const state = getState();
+    const { policy, logistics } = liveContext.current;
+    const allAgents = getAllAgents(state);
     
-    const activeBlue = allAgents.filter(a => a.team === 'blue' && a.active).length;
+    // Units out of action for repairs don't count toward the force ratio
+    const readyBlue = allAgents.filter(a => a.team === 'blue' && a.active && !isBrokenDown(a)).length;
+    const blueLosses = allAgents.filter(a => a.team === 'blue' && !a.active).length;
     const activeRed = allAgents.filter(a => a.team === 'red' && a.health > 0).length;
     
-    const forceRatio = activeBlue / Math.max(activeRed, 1);
+    // In Resources mode, report the fuel and ammo actually spent by the blue force
+    const suppliedBlue = allAgents.filter(a => a.team === 'blue' && a.active && a.fuel !== undefined);
+    const resourceConsumption = state.mode === 'resources' && suppliedBlue.length > 0
+      ? 100 - suppliedBlue.reduce((sum, a) => sum + a.fuel + a.ammo, 0) / (suppliedBlue.length * 2)
+      : 100 - logistics.supplyRate;
+    
+    const forceRatio = readyBlue / Math.max(activeRed, 1);
     const policyMod = policy.forceLevel / 100;
     const logisticsMod = (logistics.supplyRate + logistics.commsReliability) / 200;
     
@@ -561,28 +450,173 @@ const SCEPTERComplete = () => {
     
     if (policy.roe === 'defensive') baseProb *= 0.8;
     if (policy.roe === 'aggressive') baseProb *= 1.2;
+    if (policy.commanderIntent === 'defensive') baseProb *= 0.9;
+    if (policy.commanderIntent === 'offensive') baseProb *= 1.1;
+    // Bolder forces press home (and take more risk doing it)
+    baseProb *= 0.9 + policy.riskTolerance / 500;
     
     setMissionMetrics({
       successProbability: Math.min(100, Math.max(0, baseProb)),
-      predictedCasualties: Math.floor(activeBlue * (1 - policyMod) * 0.3),
+      predictedCasualties: blueLosses,
       timeToObjective: Math.floor(100 / (logisticsMod * 2)),
-      resourceConsumption: Math.floor(100 - logistics.supplyRate),
+      resourceConsumption: Math.floor(resourceConsumption),
       coverageGaps: policy.forceLevel < 80 ? ['Sector B', 'Eastern Flank'] : []
     });
-  }, [mode, theaters, agents, policy, logistics]);
+  }, [getState]);
+
+  // In Human vs AI the player's orders drive blue, so no strategy is
+  // switched, scored or searched for
+  const followsStrategy = mode !== 'human-vs-ai';
+
+  // Runs an update's ticks: the controller's strategy switching (when the
+  // profile explores by switching) or the explored plan it follows, then
+  // the engine, once per tick
+  const runTicks = (ticks) => {
+    const live = controller.current;
+    for (let i = 0; i < ticks; i++) {
+      live.elapsed += SIMULATION_CONFIG.TICK_DT;
+      live.timer += SIMULATION_CONFIG.TICK_DT;
+      
+      // Strategy switching logic
+      if (followsStrategy && profile.exploration === 'switching' &&
+          live.timer > SIMULATION_CONFIG.STRATEGY_SWITCH_TIME.min + 
+          controllerRng.current() * (SIMULATION_CONFIG.STRATEGY_SWITCH_TIME.max - SIMULATION_CONFIG.STRATEGY_SWITCH_TIME.min)) {
+        // Weighted toward strategies that serve the commander's intent
+        const newStrategy = sampleStrategy(policy.commanderIntent, controllerRng.current);
+        live.strategy = newStrategy.approach;
+        live.timer = 0;
+        evaluateCurrentStrategy(newStrategy.approach, getState(), policy, logistics, live.elapsed, controllerRng.current);
+      }
+      
+      // A followed plan sets the strategies and tactics; the per-theater
+      // overrides still take precedence over its theater strategies
+      let controls = { strategy: live.strategy };
+      if (live.plan) {
+        controls = planInputs(live.plan.plan, live.elapsed - live.plan.start, {});
+        if (controls.theaterStrategies) {
+          controls.theaterStrategies = controls.theaterStrategies.map((s, i) => theaterStrategies[i] ?? s);
+        }
+        live.strategy = controls.strategy;
+      }
+      
+      // Advance the headless engine by one tick
+      stepSimulation(SIMULATION_CONFIG.TICK_DT, controls);
+    }
+    
+    setTimeElapsed(live.elapsed);
+    setCurrentStrategy(live.strategy);
+    updateMissionMetrics();
+  };
+
+  // Main simulation loop: the fixed-timestep clock (clock.js) on the
+  // profile's timer or display frames, so runs don't depend on the frame rate
+  const { alpha: tickAlpha, fps } = useFrameLoop(isRunning, profile.loop, speed, runTicks);
+
+  // Continuous exploration: the optimizer searches plans against the live
+  // state while the run goes, the run follows each plan that beats the
+  // search's best from then on, and it stops after COA_LIMIT COAs
+  const exploresContinuously = followsStrategy && profile.exploration === 'continuous';
+  useEffect(() => {
+    if (!isRunning || !exploresContinuously) return;
+    startExploration(
+      () => liveContext.current,
+      Math.floor(controllerRng.current() * 4294967296),
+      () => setIsRunning(false),
+      (plan) => {
+        controller.current.plan = { plan, start: controller.current.elapsed };
+      }
+    );
+    return stopExploration;
+  }, [isRunning, exploresContinuously, startExploration, stopExploration]);
+
+  // The run stops once the engagement is decided
+  const decided = engagement.status !== 'active';
+  useEffect(() => {
+    if (decided) setIsRunning(false);
+  }, [decided]);
+
+  // Commander's current reserve weighting per theater
+  const reserveShares = mode === 'multi-theater' ? allocationShares(theaters) : [];
+
+  // Living units, for the force composition card
+  const livingAgents = getAllAgents(simState).filter(a => (a.team === 'blue' ? a.active : a.health > 0));
+  const countUnits = (team, type) => livingAgents.filter(a => a.team === team && unitType(a) === UNIT_TYPES[type]).length;
 
   // Canvas rendering
   useEffect(() => {
+    // Trace a unit type's glyph (UNIT_TYPES) of radius r
+    const traceGlyph = (ctx, glyph, x, y, r) => {
+      ctx.beginPath();
+      if (glyph === 'square') {
+        ctx.rect(x - r * 0.85, y - r * 0.85, r * 1.7, r * 1.7);
+      } else if (glyph === 'triangle') {
+        ctx.moveTo(x, y - r);
+        ctx.lineTo(x + r, y + r * 0.8);
+        ctx.lineTo(x - r, y + r * 0.8);
+        ctx.closePath();
+      } else if (glyph === 'hexagon') {
+        for (let i = 0; i < 6; i++) {
+          ctx.lineTo(x + Math.cos((Math.PI / 3) * i) * r, y + Math.sin((Math.PI / 3) * i) * r);
+        }
+        ctx.closePath();
+      } else if (glyph === 'chevron') {
+        ctx.moveTo(x, y - r);
+        ctx.lineTo(x + r, y + r);
+        ctx.lineTo(x, y + r * 0.35);
+        ctx.lineTo(x - r, y + r);
+        ctx.closePath();
+      } else {
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+      }
+    };
+
+    // Fill the current path, glowing in glow profiles
+    const fillGlyph = (ctx, glow) => {
+      if (profile.glow) {
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = glow;
+      }
+      ctx.fill();
+      ctx.shadowBlur = 0;
+    };
+
     const renderCanvas = (canvas, theaterData) => {
       if (!canvas) return;
       
       const ctx = canvas.getContext('2d');
       ctx.clearRect(0, 0, SIMULATION_CONFIG.GRID_SIZE, SIMULATION_CONFIG.GRID_SIZE);
       
-      // Draw background
-      ctx.fillStyle = '#0f172a';
+      // Draw background, graded top to bottom in glow profiles
+      if (profile.glow) {
+        const gradient = ctx.createLinearGradient(0, 0, 0, SIMULATION_CONFIG.GRID_SIZE);
+        gradient.addColorStop(0, '#0f172a');
+        gradient.addColorStop(1, '#1e293b');
+        ctx.fillStyle = gradient;
+      } else {
+        ctx.fillStyle = '#0f172a';
+      }
       ctx.fillRect(0, 0, SIMULATION_CONFIG.GRID_SIZE, SIMULATION_CONFIG.GRID_SIZE);
       
+      // Draw terrain: ground type, then lighter shading for higher ground
+      const terrain = theaterData.terrain;
+      if (terrain) {
+        const terrainColors = {
+          rough: 'rgba(161, 98, 7, 0.3)',
+          forest: 'rgba(21, 128, 61, 0.45)',
+          obstacle: '#475569'
+        };
+        terrain.types.forEach((type, index) => {
+          const x = (index % terrain.cols) * terrain.cell;
+          const y = Math.floor(index / terrain.cols) * terrain.cell;
+          if (terrainColors[type]) {
+            ctx.fillStyle = terrainColors[type];
+            ctx.fillRect(x, y, terrain.cell, terrain.cell);
+          }
+          ctx.fillStyle = `rgba(255, 255, 255, ${terrain.elevation[index] * 0.08})`;
+          ctx.fillRect(x, y, terrain.cell, terrain.cell);
+        });
+      }
+      
       // Draw grid
       ctx.strokeStyle = '#1e293b';
       ctx.lineWidth = 1;
@@ -597,15 +631,148 @@ const SCEPTERComplete = () => {
         ctx.stroke();
       }
       
+      // Draw objective areas
+      (theaterData.objectives || []).forEach(objective => {
+        ctx.strokeStyle = 'rgba(168, 85, 247, 0.7)';
+        ctx.fillStyle = 'rgba(168, 85, 247, 0.08)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 3]);
+        ctx.beginPath();
+        ctx.arc(objective.x, objective.y, objective.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#c084fc';
+        ctx.font = '10px monospace';
+        ctx.fillText(objective.name, objective.x - objective.radius, objective.y - objective.radius - 3);
+      });
+      
+      // Draw no-go zones
+      (theaterData.zones || []).forEach(zone => {
+        ctx.fillStyle = 'rgba(239, 68, 68, 0.12)';
+        ctx.fillRect(zone.x, zone.y, zone.width, zone.height);
+        ctx.strokeStyle = 'rgba(239, 68, 68, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 2]);
+        ctx.strokeRect(zone.x, zone.y, zone.width, zone.height);
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#f87171';
+        ctx.font = '10px monospace';
+        ctx.fillText(zone.name, zone.x + 3, zone.y + 11);
+      });
+      
+      // Draw rear depot
+      if (theaterData.depot) {
+        const { x, y } = theaterData.depot;
+        ctx.strokeStyle = '#eab308';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(x, y, SIMULATION_CONFIG.DEPOT_RADIUS, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = '#eab308';
+        ctx.fillRect(x - 6, y - 6, 12, 12);
+      }
+      
       const agentsToDraw = mode === 'multi-theater' ? theaterData.agents : agents;
+      const blueObservers = agentsToDraw.filter(a => a.team === 'blue' && a.active);
+      
+      // Fog of War: shade everything outside blue sensor coverage, then draw
+      // last-known positions of contacts blue can no longer see
+      if (theaterData.beliefs) {
+        if (!fogCanvasRef.current) {
+          fogCanvasRef.current = document.createElement('canvas');
+          fogCanvasRef.current.width = SIMULATION_CONFIG.GRID_SIZE;
+          fogCanvasRef.current.height = SIMULATION_CONFIG.GRID_SIZE;
+        }
+        const fogCtx = fogCanvasRef.current.getContext('2d');
+        fogCtx.globalCompositeOperation = 'source-over';
+        fogCtx.clearRect(0, 0, SIMULATION_CONFIG.GRID_SIZE, SIMULATION_CONFIG.GRID_SIZE);
+        fogCtx.fillStyle = 'rgba(2, 6, 23, 0.75)';
+        fogCtx.fillRect(0, 0, SIMULATION_CONFIG.GRID_SIZE, SIMULATION_CONFIG.GRID_SIZE);
+        fogCtx.globalCompositeOperation = 'destination-out';
+        blueObservers.forEach(agent => {
+          fogCtx.beginPath();
+          fogCtx.arc(agent.x, agent.y, getSensorRadius(agent), 0, Math.PI * 2);
+          fogCtx.fill();
+        });
+        ctx.drawImage(fogCanvasRef.current, 0, 0);
+        
+        Object.values(theaterData.beliefs.blue).forEach(contact => {
+          const enemy = agentsToDraw.find(a => a.id === contact.id);
+          if (enemy && enemy.health > 0 && isObserved(enemy, blueObservers, theaterData.terrain)) return;
+          const stale = isStale(contact, simTime);
+          ctx.strokeStyle = stale ? 'rgba(239, 68, 68, 0.35)' : 'rgba(239, 68, 68, 0.8)';
+          ctx.lineWidth = 1;
+          ctx.setLineDash([3, 3]);
+          ctx.beginPath();
+          ctx.arc(contact.x, contact.y, 8, 0, Math.PI * 2);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        });
+      }
+      
+      // Draw orders for selected agents (Human vs AI)
+      if (theaterData.selectedIds) {
+        agentsToDraw.forEach(agent => {
+          if (!agent.active || !agent.order || !theaterData.selectedIds.includes(agent.id)) return;
+          let destination = null;
+          if (agent.order.type === 'move') destination = agent.order;
+          if (agent.order.type === 'attack') destination = agentsToDraw.find(a => a.id === agent.order.targetId);
+          if (!destination) return;
+          ctx.strokeStyle = agent.order.type === 'attack' ? 'rgba(239, 68, 68, 0.6)' : 'rgba(34, 197, 94, 0.6)';
+          ctx.lineWidth = 1;
+          ctx.setLineDash([4, 4]);
+          ctx.beginPath();
+          ctx.moveTo(agent.x, agent.y);
+          ctx.lineTo(destination.x, destination.y);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        });
+      }
       
       // Draw agents
       agentsToDraw.forEach(agent => {
+        // Under fog, red agents are only drawn while blue sensors see them
+        if (theaterData.beliefs && agent.team === 'red' && !isObserved(agent, blueObservers, theaterData.terrain)) return;
+
         if (agent.team === 'blue' && agent.active) {
-          ctx.fillStyle = '#3b82f6';
-          ctx.beginPath();
-          ctx.arc(agent.x, agent.y, 5, 0, Math.PI * 2);
-          ctx.fill();
+          ctx.fillStyle = agent.withdrawing ? '#93c5fd' : '#3b82f6';
+          traceGlyph(ctx, unitType(agent).glyph, agent.x, agent.y, 5);
+          fillGlyph(ctx, '#60a5fa');
+          
+          // Draw selection ring (Human vs AI)
+          if (theaterData.selectedIds && theaterData.selectedIds.includes(agent.id)) {
+            ctx.strokeStyle = '#f8fafc';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(agent.x, agent.y, 8, 0, Math.PI * 2);
+            ctx.stroke();
+          }
+
+          // Draw breakdown ring while under repair
+          if (isBrokenDown(agent)) {
+            ctx.strokeStyle = '#fb923c';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 2]);
+            ctx.beginPath();
+            ctx.arc(agent.x, agent.y, 7, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+          }
+
+          // Draw health bar once damaged by red fire
+          if (agent.health < 100) {
+            ctx.fillStyle = '#facc15';
+            ctx.fillRect(agent.x - 5, agent.y - 9, (agent.health / 100) * 10, 2);
+          }
+          
+          // Draw fuel (orange) and ammo (white) bars in Resources mode
+          if (mode === 'resources') {
+            ctx.fillStyle = '#fb923c';
+            ctx.fillRect(agent.x - 5, agent.y + 7, (agent.fuel / 100) * 10, 1.5);
+            ctx.fillStyle = '#e2e8f0';
+            ctx.fillRect(agent.x - 5, agent.y + 9.5, (agent.ammo / 100) * 10, 1.5);
+          }
           
           // Draw velocity vector
           if (agent.vx || agent.vy) {
@@ -620,9 +787,8 @@ const SCEPTERComplete = () => {
           ctx.fillStyle = '#ef4444';
           ctx.strokeStyle = '#dc2626';
           ctx.lineWidth = 2;
-          ctx.beginPath();
-          ctx.arc(agent.x, agent.y, 8, 0, Math.PI * 2);
-          ctx.fill();
+          traceGlyph(ctx, unitType(agent).glyph, agent.x, agent.y, 8);
+          fillGlyph(ctx, '#f87171');
           ctx.stroke();
           
           // Draw health bar
@@ -630,27 +796,118 @@ const SCEPTERComplete = () => {
           ctx.fillRect(agent.x - 8, agent.y - 15, (agent.health / 100) * 16, 2);
         }
       });
+      
+      // Draw supply convoys
+      (theaterData.convoys || []).forEach(convoy => {
+        ctx.fillStyle = convoy.status === 'returning' ? '#a16207' : '#facc15';
+        ctx.beginPath();
+        ctx.moveTo(convoy.x, convoy.y - 5);
+        ctx.lineTo(convoy.x + 5, convoy.y);
+        ctx.lineTo(convoy.x, convoy.y + 5);
+        ctx.lineTo(convoy.x - 5, convoy.y);
+        ctx.closePath();
+        ctx.fill();
+      });
+      
+      // Draw scenario editor selection and the shape being drawn
+      if (theaterData.editor) {
+        const { selectedId, drag } = theaterData.editor;
+        const selected = agentsToDraw.find(a => a.id === selectedId);
+        ctx.strokeStyle = '#fbbf24';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 2]);
+        if (selected) {
+          ctx.beginPath();
+          ctx.arc(selected.x, selected.y, 12, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+        if (drag && drag.tool === 'objective') {
+          ctx.beginPath();
+          ctx.arc(drag.x0, drag.y0, Math.hypot(drag.x1 - drag.x0, drag.y1 - drag.y0), 0, Math.PI * 2);
+          ctx.stroke();
+        }
+        if (drag && drag.tool === 'zone') {
+          ctx.strokeRect(drag.x0, drag.y0, drag.x1 - drag.x0, drag.y1 - drag.y0);
+        }
+        ctx.setLineDash([]);
+      }
+      
+      // Draw drag-selection box
+      if (theaterData.selectionBox) {
+        const box = theaterData.selectionBox;
+        ctx.strokeStyle = '#f8fafc';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 2]);
+        ctx.strokeRect(box.x0, box.y0, box.x1 - box.x0, box.y1 - box.y0);
+        ctx.setLineDash([]);
+      }
     };
     
+    const editorOverlay = (theaterIndex) => isEditing ? {
+      selectedId: editorSelection && editorSelection.theater === theaterIndex ? editorSelection.id : null,
+      drag: editorDrag && editorDrag.theater === theaterIndex ? editorDrag : null
+    } : null;
+    
+    // While reviewing a replay the canvases show the recorded frame; a
+    // running battle is drawn between its last two ticks
+    const view = review
+      ? review.state
+      : interpolateState(previousState, { theaters, agents, objectives, zones, terrain, depot, convoys, beliefs }, tickAlpha);
+    
     if (mode === 'multi-theater') {
-      theaters.forEach((theater, idx) => {
+      view.theaters.forEach((theater, idx) => {
         const canvas = canvasRefs.current[idx];
-        renderCanvas(canvas, theater);
+        renderCanvas(canvas, { ...theater, editor: editorOverlay(idx) });
       });
     } else {
       const canvas = canvasRefs.current[0];
-      renderCanvas(canvas, { agents });
+      renderCanvas(canvas, {
+        agents: view.agents,
+        objectives: view.objectives,
+        zones: view.zones,
+        terrain: view.terrain,
+        editor: editorOverlay(0),
+        depot: view.depot,
+        convoys: view.convoys,
+        beliefs: mode === 'fog-of-war' ? view.beliefs : null,
+        selectedIds: mode === 'human-vs-ai' && !review ? selectedIds : null,
+        selectionBox
+      });
     }
-  }, [agents, theaters, mode]);
+  }, [agents, theaters, objectives, zones, terrain, depot, convoys, beliefs, simTime, mode, selectedIds, selectionBox, isEditing, editorSelection, editorDrag, review, previousState, tickAlpha, profile.glow]);
+
+  // Report snapshots: the freshly drawn canvases at the start and every
+  // AAR_SNAPSHOT_INTERVAL simulated seconds
+  useEffect(() => {
+    const snapshots = snapshotsRef.current;
+    if (review || isEditing || simState.time < snapshots.next) return;
+    const label = simState.time === 0 ? 'Start' : STRATEGIES.find(s => s.approach === currentStrategy).name;
+    snapshotsRef.current = {
+      list: addSnapshot(snapshots.list, captureSnapshot(canvasRefs.current, simState, label)),
+      next: simState.time + SIMULATION_CONFIG.AAR_SNAPSHOT_INTERVAL
+    };
+  }, [simState, review, isEditing, currentStrategy]);
+
+  // Chart history: damage is tracked every tick, samples every HISTORY_INTERVAL
+  useEffect(() => {
+    if (review || isEditing) return;
+    const previous = historyRef.current || createHistory(simState);
+    const history = recordHistory(previous, simState, {
+      successProbability: missionMetrics.successProbability,
+      coaScores: bestCOAs.map(coa => coa.evaluation.score.mean)
+    });
+    historyRef.current = history;
+    if (history.samples !== previous.samples) setChartSamples(history.samples);
+  }, [simState, review, isEditing, missionMetrics, bestCOAs]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 text-white p-4">
       <div className="max-w-[1900px] mx-auto">
         <div className="mb-4">
           <h1 className="text-3xl font-bold mb-2 bg-gradient-to-r from-blue-400 via-purple-400 to-pink-400 bg-clip-text text-transparent">
-            SCEPTER Strategy Exploration Engine
+            {profile.title}
           </h1>
-          <p className="text-slate-400 text-sm">Continuous COA Discovery with Policy & Logistics Modeling</p>
+          <p className="text-slate-400 text-sm">{profile.subtitle}</p>
         </div>
 
         <div className="grid grid-cols-6 gap-2 mb-4">
@@ -680,186 +937,215 @@ const SCEPTERComplete = () => {
           })}
         </div>
 
-        <div className="grid grid-cols-2 gap-4 mb-4">
-          <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
-            <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
-              <Settings size={16} />
-              Policy & Intent
-            </h3>
-            <div className="grid grid-cols-2 gap-3">
-              <div>
-                <label className="text-xs text-slate-400 block mb-1">Force Level</label>
-                <input
-                  type="range"
-                  min="20"
-                  max="100"
-                  value={policy.forceLevel}
-                  onChange={(e) => setPolicy({...policy, forceLevel: Number(e.target.value)})}
-                  className="w-full"
-                />
-                <div className="text-xs text-center mt-1">{policy.forceLevel}%</div>
-              </div>
-              
-              <div>
-                <label className="text-xs text-slate-400 block mb-1">Risk Tolerance</label>
-                <input
-                  type="range"
-                  min="0"
-                  max="100"
-                  value={policy.riskTolerance}
-                  onChange={(e) => setPolicy({...policy, riskTolerance: Number(e.target.value)})}
-                  className="w-full"
-                />
-                <div className="text-xs text-center mt-1">{policy.riskTolerance}%</div>
-              </div>
-              
-              <div>
-                <label className="text-xs text-slate-400 block mb-1">ROE</label>
-                <select
-                  value={policy.roe}
-                  onChange={(e) => setPolicy({...policy, roe: e.target.value})}
-                  className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs"
-                >
-                  <option value="defensive">Defensive</option>
-                  <option value="standard">Standard</option>
-                  <option value="aggressive">Aggressive</option>
-                </select>
+        {(hasPanel(profile, 'policy') || hasPanel(profile, 'logistics')) && (
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            {hasPanel(profile, 'policy') && (
+              <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
+                <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
+                  <Settings size={16} />
+                  Policy & Intent
+                </h3>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="text-xs text-slate-400 block mb-1">Force Level</label>
+                    <input
+                      type="range"
+                      min="20"
+                      max="100"
+                      value={policy.forceLevel}
+                      onChange={(e) => setPolicy({...policy, forceLevel: Number(e.target.value)})}
+                      className="w-full"
+                    />
+                    <div className="text-xs text-center mt-1">{policy.forceLevel}% · restarts the run</div>
+                  </div>
+                  
+                  <div>
+                    <label className="text-xs text-slate-400 block mb-1">Risk Tolerance</label>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={policy.riskTolerance}
+                      onChange={(e) => setPolicy({...policy, riskTolerance: Number(e.target.value)})}
+                      className="w-full"
+                    />
+                    <div className="text-xs text-center mt-1">{policy.riskTolerance}%</div>
+                  </div>
+                  
+                  <div>
+                    <label className="text-xs text-slate-400 block mb-1">ROE</label>
+                    <select
+                      value={policy.roe}
+                      onChange={(e) => setPolicy({...policy, roe: e.target.value})}
+                      className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs"
+                    >
+                      <option value="defensive">Defensive</option>
+                      <option value="standard">Standard</option>
+                      <option value="aggressive">Aggressive</option>
+                    </select>
+                  </div>
+                  
+                  <div>
+                    <label className="text-xs text-slate-400 block mb-1">Commander Intent</label>
+                    <select
+                      value={policy.commanderIntent}
+                      onChange={(e) => setPolicy({...policy, commanderIntent: e.target.value})}
+                      className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs"
+                    >
+                      <option value="defensive">Defensive</option>
+                      <option value="balanced">Balanced</option>
+                      <option value="offensive">Offensive</option>
+                    </select>
+                  </div>
+                </div>
               </div>
-              
-              <div>
-                <label className="text-xs text-slate-400 block mb-1">Commander Intent</label>
-                <select
-                  value={policy.commanderIntent}
-                  onChange={(e) => setPolicy({...policy, commanderIntent: e.target.value})}
-                  className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs"
-                >
-                  <option value="defensive">Defensive</option>
-                  <option value="balanced">Balanced</option>
-                  <option value="offensive">Offensive</option>
-                </select>
+            )}
+            
+            {hasPanel(profile, 'logistics') && (
+              <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
+                <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
+                  <Package size={16} />
+                  Logistics Status
+                </h3>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="text-xs text-slate-400 block mb-1">Supply Rate</label>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={logistics.supplyRate}
+                      onChange={(e) => setLogistics({...logistics, supplyRate: Number(e.target.value)})}
+                      className="w-full"
+                    />
+                    <div className="text-xs text-center mt-1">{logistics.supplyRate}%</div>
+                  </div>
+                  
+                  <div>
+                    <label className="text-xs text-slate-400 block mb-1">Maintenance</label>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={logistics.maintenanceLevel}
+                      onChange={(e) => setLogistics({...logistics, maintenanceLevel: Number(e.target.value)})}
+                      className="w-full"
+                    />
+                    <div className="text-xs text-center mt-1">{logistics.maintenanceLevel}%</div>
+                  </div>
+                  
+                  <div>
+                    <label className="text-xs text-slate-400 block mb-1">Comms Reliability</label>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={logistics.commsReliability}
+                      onChange={(e) => setLogistics({...logistics, commsReliability: Number(e.target.value)})}
+                      className="w-full"
+                    />
+                    <div className="text-xs text-center mt-1">{logistics.commsReliability}%</div>
+                  </div>
+                  
+                  <div>
+                    <label className="text-xs text-slate-400 block mb-1">Transport Capacity</label>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={logistics.transportCapacity}
+                      onChange={(e) => setLogistics({...logistics, transportCapacity: Number(e.target.value)})}
+                      className="w-full"
+                    />
+                    <div className="text-xs text-center mt-1">{logistics.transportCapacity}%</div>
+                  </div>
+                </div>
+                {mode === 'multi-theater' && reserves && (
+                  <div className="mt-3 flex justify-between text-xs text-slate-400">
+                    <span>Commander reserves: <span className="font-mono text-blue-400">{reserves.available}</span> units</span>
+                    <span>Committed: <span className="font-mono text-blue-400">{theaters.reduce((sum, t) => sum + t.allocated, 0)}</span></span>
+                  </div>
+                )}
+                {mode === 'resources' && (
+                  <div className="mt-3 flex justify-between text-xs text-slate-400">
+                    <span>Convoys en route: <span className="font-mono text-yellow-400">{convoys.filter(c => c.status === 'outbound').length}</span></span>
+                    <span>Supplies delivered: <span className="font-mono text-yellow-400">{Math.floor(suppliesDelivered)}</span></span>
+                  </div>
+                )}
               </div>
-            </div>
+            )}
           </div>
-          
-          <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
+        )}
+
+        {hasPanel(profile, 'analytics') && (
+          <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-lg p-4 border border-slate-600 mb-4">
             <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
-              <Package size={16} />
-              Logistics Status
+              <TrendingUp size={16} />
+              Mission Impact Analytics
             </h3>
-            <div className="grid grid-cols-2 gap-3">
-              <div>
-                <label className="text-xs text-slate-400 block mb-1">Supply Rate</label>
-                <input
-                  type="range"
-                  min="0"
-                  max="100"
-                  value={logistics.supplyRate}
-                  onChange={(e) => setLogistics({...logistics, supplyRate: Number(e.target.value)})}
-                  className="w-full"
-                />
-                <div className="text-xs text-center mt-1">{logistics.supplyRate}%</div>
+            <div className="grid grid-cols-5 gap-3">
+              <div className="text-center">
+                <div className="text-xs text-slate-400 mb-1">Success Probability</div>
+                <div className="text-2xl font-bold text-green-400">{Math.floor(missionMetrics.successProbability)}%</div>
+                <div className="h-2 bg-slate-900 rounded mt-2 overflow-hidden">
+                  <div 
+                    className="h-full bg-green-500 transition-all"
+                    style={{width: `${missionMetrics.successProbability}%`}}
+                  />
+                </div>
               </div>
               
-              <div>
-                <label className="text-xs text-slate-400 block mb-1">Maintenance</label>
-                <input
-                  type="range"
-                  min="0"
-                  max="100"
-                  value={logistics.maintenanceLevel}
-                  onChange={(e) => setLogistics({...logistics, maintenanceLevel: Number(e.target.value)})}
-                  className="w-full"
-                />
-                <div className="text-xs text-center mt-1">{logistics.maintenanceLevel}%</div>
+              <div className="text-center">
+                <div className="text-xs text-slate-400 mb-1">Predicted Casualties</div>
+                <div className="text-2xl font-bold text-red-400">{missionMetrics.predictedCasualties}</div>
               </div>
               
-              <div>
-                <label className="text-xs text-slate-400 block mb-1">Comms Reliability</label>
-                <input
-                  type="range"
-                  min="0"
-                  max="100"
-                  value={logistics.commsReliability}
-                  onChange={(e) => setLogistics({...logistics, commsReliability: Number(e.target.value)})}
-                  className="w-full"
-                />
-                <div className="text-xs text-center mt-1">{logistics.commsReliability}%</div>
+              <div className="text-center">
+                <div className="text-xs text-slate-400 mb-1">Time to Objective</div>
+                <div className="text-2xl font-bold text-blue-400">{missionMetrics.timeToObjective}s</div>
               </div>
               
-              <div>
-                <label className="text-xs text-slate-400 block mb-1">Transport Capacity</label>
-                <input
-                  type="range"
-                  min="0"
-                  max="100"
-                  value={logistics.transportCapacity}
-                  onChange={(e) => setLogistics({...logistics, transportCapacity: Number(e.target.value)})}
-                  className="w-full"
-                />
-                <div className="text-xs text-center mt-1">{logistics.transportCapacity}%</div>
+              <div className="text-center">
+                <div className="text-xs text-slate-400 mb-1">Resource Use</div>
+                <div className="text-2xl font-bold text-yellow-400">{missionMetrics.resourceConsumption}%</div>
               </div>
-            </div>
-          </div>
-        </div>
-
-        <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-lg p-4 border border-slate-600 mb-4">
-          <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
-            <TrendingUp size={16} />
-            Mission Impact Analytics
-          </h3>
-          <div className="grid grid-cols-5 gap-3">
-            <div className="text-center">
-              <div className="text-xs text-slate-400 mb-1">Success Probability</div>
-              <div className="text-2xl font-bold text-green-400">{Math.floor(missionMetrics.successProbability)}%</div>
-              <div className="h-2 bg-slate-900 rounded mt-2 overflow-hidden">
-                <div 
-                  className="h-full bg-green-500 transition-all"
-                  style={{width: `${missionMetrics.successProbability}%`}}
-                />
+              
+              <div className="text-center">
+                <div className="text-xs text-slate-400 mb-1">Coverage Gaps</div>
+                <div className="text-sm font-bold text-orange-400">
+                  {missionMetrics.coverageGaps.length > 0 
+                    ? missionMetrics.coverageGaps.join(', ')
+                    : 'None'}
+                </div>
               </div>
             </div>
             
-            <div className="text-center">
-              <div className="text-xs text-slate-400 mb-1">Predicted Casualties</div>
-              <div className="text-2xl font-bold text-red-400">{missionMetrics.predictedCasualties}</div>
-            </div>
-            
-            <div className="text-center">
-              <div className="text-xs text-slate-400 mb-1">Time to Objective</div>
-              <div className="text-2xl font-bold text-blue-400">{missionMetrics.timeToObjective}s</div>
-            </div>
-            
-            <div className="text-center">
-              <div className="text-xs text-slate-400 mb-1">Resource Use</div>
-              <div className="text-2xl font-bold text-yellow-400">{missionMetrics.resourceConsumption}%</div>
-            </div>
-            
-            <div className="text-center">
-              <div className="text-xs text-slate-400 mb-1">Coverage Gaps</div>
-              <div className="text-sm font-bold text-orange-400">
-                {missionMetrics.coverageGaps.length > 0 
-                  ? missionMetrics.coverageGaps.join(', ')
-                  : 'None'}
+            {policy.forceLevel < 80 && (
+              <div className="mt-3 p-2 bg-orange-900/30 border border-orange-700 rounded text-xs flex items-center gap-2">
+                <AlertTriangle size={14} className="text-orange-400" />
+                <span>Force reduction detected: {missionMetrics.coverageGaps.join(', ')} vulnerable</span>
               </div>
-            </div>
+            )}
           </div>
-          
-          {policy.forceLevel < 80 && (
-            <div className="mt-3 p-2 bg-orange-900/30 border border-orange-700 rounded text-xs flex items-center gap-2">
-              <AlertTriangle size={14} className="text-orange-400" />
-              <span>Force reduction detected: {missionMetrics.coverageGaps.join(', ')} vulnerable</span>
-            </div>
-          )}
-        </div>
+        )}
 
         <div className="grid grid-cols-4 gap-4">
           <div className="col-span-3">
+            {decided && <OutcomeBanner engagement={engagement} onReset={() => handleInitializeMode(mode)} />}
             {mode === 'multi-theater' ? (
               <div className="grid grid-cols-2 gap-3">
                 {theaters.map((theater, idx) => (
                   <div key={theater.id} className="bg-slate-800 rounded-lg p-3 border border-slate-700">
                     <div className="flex justify-between items-center mb-2">
-                      <h3 className="text-sm font-semibold">{theater.name}</h3>
+                      {isEditing ? (
+                        <input
+                          value={scenario.theaters[idx].name}
+                          onChange={(e) => setScenario(renameTheater(scenario, idx, e.target.value))}
+                          className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-sm font-semibold"
+                        />
+                      ) : (
+                        <h3 className="text-sm font-semibold">{theater.name}</h3>
+                      )}
                       <div className="flex gap-2 text-xs">
                         <span className="bg-blue-900 px-2 py-1 rounded">
                           {theater.agents.filter(a => a.team === 'blue' && a.active).length} Blue
@@ -869,11 +1155,42 @@ const SCEPTERComplete = () => {
                         </span>
                       </div>
                     </div>
+                    <div className="grid grid-cols-3 gap-2 items-center mb-2 text-xs">
+                      <select
+                        value={theaterStrategies[idx] ?? ''}
+                        onChange={(e) => setTheaterStrategies(theaterStrategies.map((s, i) => i === idx ? (e.target.value || null) : s))}
+                        className="bg-slate-900 border border-slate-700 rounded px-2 py-1"
+                      >
+                        <option value="">Auto ({STRATEGIES.find(s => s.approach === currentStrategy)?.name})</option>
+                        {STRATEGIES.map(s => (
+                          <option key={s.approach} value={s.approach}>{s.name}</option>
+                        ))}
+                      </select>
+                      <label className="flex items-center gap-1 text-slate-400">
+                        Priority
+                        <input
+                          type="range"
+                          min="0"
+                          max="100"
+                          value={Math.round(theater.priority * 100)}
+                          onChange={(e) => changeTheaterPriority(theater.id, Number(e.target.value) / 100)}
+                          className="w-full"
+                        />
+                      </label>
+                      <span className="text-right text-slate-400">
+                        Reserves <span className="font-mono text-blue-400">{Math.round(reserveShares[idx] * 100)}%</span>
+                        {' '}+{theater.allocated}/-{theater.released}
+                      </span>
+                    </div>
                     <canvas
                       ref={el => canvasRefs.current[idx] = el}
                       width={SIMULATION_CONFIG.GRID_SIZE}
                       height={SIMULATION_CONFIG.GRID_SIZE}
-                      className="w-full bg-slate-900 rounded border border-slate-700"
+                      onMouseDown={isEditing ? (e) => handleEditorMouseDown(e, idx) : undefined}
+                      onMouseMove={isEditing ? handleEditorMouseMove : undefined}
+                      onMouseUp={isEditing ? handleEditorMouseUp : undefined}
+                      onMouseLeave={isEditing ? handleEditorMouseUp : undefined}
+                      className={`w-full bg-slate-900 rounded border border-slate-700 ${isEditing ? 'cursor-crosshair' : ''}`}
                     />
                   </div>
                 ))}
@@ -881,29 +1198,51 @@ const SCEPTERComplete = () => {
             ) : (
               <div className="bg-slate-800 rounded-lg p-4 border border-slate-700">
                 <div className="flex justify-between items-center mb-3">
-                  <h3 className="text-lg font-semibold">Simulation</h3>
-                  <div className="flex gap-2">
-                    <button
-                      onClick={() => setIsRunning(!isRunning)}
-                      className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg flex items-center gap-2"
-                    >
-                      {isRunning ? <Pause size={16} /> : <Play size={16} />}
-                      {isRunning ? 'Pause' : 'Start'}
-                    </button>
-                    <button
-                      onClick={() => handleInitializeMode(mode)}
-                      className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg"
-                    >
-                      <RotateCcw size={16} />
-                    </button>
-                  </div>
+                  {isEditing ? (
+                    <input
+                      value={scenario.theaters[0].name}
+                      onChange={(e) => setScenario(renameTheater(scenario, 0, e.target.value))}
+                      className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-lg font-semibold"
+                    />
+                  ) : (
+                    <h3 className="text-lg font-semibold">
+                      {campaign
+                        ? `Campaign: ${theaters[campaign.phaseIndex].name}`
+                        : scenario && scenario.mode === mode ? scenario.theaters[0].name : 'Simulation'}
+                    </h3>
+                  )}
                 </div>
                 
+                {mode === 'human-vs-ai' && (
+                  <div className="flex justify-between items-center mb-2 text-xs text-slate-400">
+                    <span>
+                      Click or drag to select, shift to add. Right-click to move, right-click a red unit to attack.
+                    </span>
+                    <div className="flex items-center gap-2">
+                      <span className="font-mono text-blue-400">
+                        {agents.filter(a => a.active && selectedIds.includes(a.id)).length} selected
+                      </span>
+                      <button
+                        onClick={() => orderUnits(selectedIds, HOLD_ORDER)}
+                        disabled={selectedIds.length === 0}
+                        className="px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded"
+                      >
+                        Hold (H)
+                      </button>
+                    </div>
+                  </div>
+                )}
+                
                 <canvas
                   ref={el => canvasRefs.current[0] = el}
                   width={SIMULATION_CONFIG.GRID_SIZE}
                   height={SIMULATION_CONFIG.GRID_SIZE}
-                  className="w-full bg-slate-900 rounded border border-slate-700"
+                  onMouseDown={isEditing ? (e) => handleEditorMouseDown(e, 0) : handleCanvasMouseDown}
+                  onMouseMove={isEditing ? handleEditorMouseMove : handleCanvasMouseMove}
+                  onMouseUp={isEditing ? handleEditorMouseUp : handleCanvasMouseUp}
+                  onMouseLeave={isEditing ? handleEditorMouseUp : handleCanvasMouseUp}
+                  onContextMenu={handleCanvasContextMenu}
+                  className={`w-full bg-slate-900 rounded border border-slate-700 ${mode === 'human-vs-ai' || isEditing ? 'cursor-crosshair' : ''}`}
                 />
               </div>
             )}
@@ -912,27 +1251,310 @@ const SCEPTERComplete = () => {
           <div className="space-y-3">
             <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
               <h3 className="text-sm font-semibold mb-3">Controls</h3>
-              <div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => {
+                    setEditing(false);
+                    setReview(null);
+                    setIsRunning(!isRunning);
+                  }}
+                  disabled={decided}
+                  className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg flex items-center justify-center gap-2 disabled:opacity-40"
+                >
+                  {isRunning ? <Pause size={16} /> : <Play size={16} />}
+                  {isRunning ? 'Pause' : 'Start'}
+                </button>
+                <button
+                  onClick={() => handleInitializeMode(mode)}
+                  title="Reset"
+                  className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg"
+                >
+                  <RotateCcw size={16} />
+                </button>
+              </div>
+              <div className="mt-3">
                 <label className="text-xs text-slate-400 block mb-1">Speed</label>
                 <input
                   type="range"
                   min="10"
-                  max="200"
+                  max="400"
+                  step="10"
                   value={speed}
                   onChange={(e) => setSpeed(Number(e.target.value))}
                   className="w-full"
                 />
-                <div className="text-xs text-center mt-1">{(speed * 100).toLocaleString()}x</div>
+                <div className="text-xs text-center mt-1">
+                  {(speed / 100).toFixed(1)}x · {Math.round(speed / 100 / SIMULATION_CONFIG.TICK_DT)} ticks/s
+                </div>
               </div>
+              <div className="mt-3">
+                <label className="text-xs text-slate-400 block mb-1">Seed</label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min="0"
+                    value={seed}
+                    onChange={(e) => setSeed(Number(e.target.value))}
+                    className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs font-mono"
+                  />
+                  <button
+                    onClick={() => setSeed(randomSeed())}
+                    title="New random seed"
+                    className="px-2 bg-slate-700 hover:bg-slate-600 rounded"
+                  >
+                    <Shuffle size={14} />
+                  </button>
+                </div>
+              </div>
+              <div className="mt-3">
+                <label className="text-xs text-slate-400 block mb-1">Scenario</label>
+                <div className="text-xs font-mono truncate mb-2" title={scenario?.description}>
+                  {scenario ? scenario.name : 'Random (seeded)'}
+                </div>
+                <input
+                  ref={scenarioInputRef}
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleScenarioFile}
+                  className="hidden"
+                />
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => scenarioInputRef.current.click()}
+                    className="flex-1 flex items-center justify-center gap-1 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs"
+                  >
+                    <Upload size={12} />
+                    Load
+                  </button>
+                  <button
+                    onClick={handleSaveScenario}
+                    className="flex-1 flex items-center justify-center gap-1 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs"
+                  >
+                    <Download size={12} />
+                    Save
+                  </button>
+                  {scenario && (
+                    <button
+                      onClick={() => setScenario(null)}
+                      title="Clear scenario"
+                      className="px-2 bg-slate-700 hover:bg-slate-600 rounded"
+                    >
+                      <X size={12} />
+                    </button>
+                  )}
+                </div>
+                {scenarioError && (
+                  <div className="mt-2 text-xs text-red-400 break-words">{scenarioError}</div>
+                )}
+              </div>
+            </div>
+
+            <VictoryPanel
+              conditions={victoryConditions}
+              onChange={setVictoryConditions}
+              engagement={engagement}
+              mode={mode}
+            />
+
+            <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
+              <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
+                <History size={16} />
+                Replay
+              </h3>
+              {!review ? (
+                <div className="flex gap-2 text-xs">
+                  <button
+                    onClick={() => openReview('current')}
+                    disabled={replayLength(replays.current) === 0}
+                    className="flex-1 py-1 bg-slate-700 hover:bg-slate-600 rounded disabled:opacity-40"
+                  >
+                    Review This Run
+                  </button>
+                  {previousReplayUsable && (
+                    <button
+                      onClick={() => openReview('previous')}
+                      className="flex-1 py-1 bg-slate-700 hover:bg-slate-600 rounded"
+                    >
+                      Previous Run
+                    </button>
+                  )}
+                </div>
+              ) : (
+                <div className="space-y-2 text-xs">
+                  <input
+                    type="range"
+                    min="0"
+                    max={replayLength(reviewReplay)}
+                    value={review.frame}
+                    onChange={(e) => seekReview(Number(e.target.value))}
+                    className="w-full"
+                  />
+                  <div className="flex justify-between text-slate-400">
+                    <span className="font-mono">{review.time.toFixed(1)}s</span>
+                    <span className="font-mono">
+                      {review.frame} / {replayLength(reviewReplay)}
+                    </span>
+                  </div>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => seekReview(review.frame - 1)}
+                      title="Previous frame"
+                      className="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded"
+                    >
+                      <StepBack size={12} />
+                    </button>
+                    <button
+                      onClick={toggleReviewPlayback}
+                      title={review.playing ? 'Pause' : 'Play'}
+                      className="px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded"
+                    >
+                      {review.playing ? <Pause size={12} /> : <Play size={12} />}
+                    </button>
+                    <button
+                      onClick={() => seekReview(review.frame + 1)}
+                      title="Next frame"
+                      className="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded"
+                    >
+                      <StepForward size={12} />
+                    </button>
+                    <select
+                      value={review.speed}
+                      onChange={(e) => setReview({ ...review, speed: Number(e.target.value) })}
+                      title="Playback speed"
+                      className="flex-1 bg-slate-900 border border-slate-700 rounded px-1"
+                    >
+                      {SIMULATION_CONFIG.REPLAY_SPEEDS.map(s => (
+                        <option key={s} value={s}>{s}x</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => setReview(null)}
+                      className="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded"
+                    >
+                      Live
+                    </button>
+                  </div>
+                  <div className="text-slate-500">
+                    {review.source === 'previous' ? 'Previous run' : 'This run'} paused for review
+                  </div>
+                </div>
+              )}
+              <button
+                onClick={handleGenerateReport}
+                disabled={replayLength(replays.current) === 0}
+                title="Download an after-action report of this run"
+                className="mt-2 w-full flex items-center justify-center gap-1 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs disabled:opacity-40"
+              >
+                <FileText size={12} />
+                Generate AAR
+              </button>
+            </div>
+
+            <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
+              <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
+                <Edit3 size={16} />
+                Scenario Editor
+              </h3>
+              {!isEditing ? (
+                <button
+                  onClick={startEditing}
+                  className="w-full py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs"
+                >
+                  Edit Layout
+                </button>
+              ) : (
+                <div className="space-y-3 text-xs">
+                  <div className="grid grid-cols-2 gap-1">
+                    {EDITOR_TOOLS.map(tool => (
+                      <button
+                        key={tool.id}
+                        onClick={() => setEditorTool(tool.id)}
+                        className={`py-1 rounded border ${
+                          editorTool === tool.id
+                            ? 'bg-blue-600 border-blue-500'
+                            : 'bg-slate-900 border-slate-700 hover:border-slate-600'
+                        }`}
+                      >
+                        {tool.name}
+                      </button>
+                    ))}
+                  </div>
+                  {editedUnit ? (
+                    <div className="space-y-2">
+                      <div className="flex justify-between text-slate-400">
+                        <span>Unit</span>
+                        <span className="font-mono">{editedUnit.id}</span>
+                      </div>
+                      <input
+                        value={editedUnit.name}
+                        onChange={(e) => editUnit({ name: e.target.value })}
+                        className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1"
+                      />
+                      <div className="grid grid-cols-2 gap-2">
+                        <select
+                          value={editedUnit.team}
+                          onChange={(e) => editUnit({ team: e.target.value })}
+                          className="bg-slate-900 border border-slate-700 rounded px-2 py-1"
+                        >
+                          <option value="blue">Blue</option>
+                          <option value="red">Red</option>
+                        </select>
+                        <select
+                          value={editedUnit.type}
+                          onChange={(e) => editUnit({ type: e.target.value })}
+                          title="Unit type"
+                          className="bg-slate-900 border border-slate-700 rounded px-2 py-1"
+                        >
+                          {Object.entries(UNIT_TYPES).map(([type, stats]) => (
+                            <option key={type} value={type}>{stats.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <label className="text-slate-400 block">Health: {editedUnit.health}</label>
+                      <input
+                        type="range"
+                        min="1"
+                        max="100"
+                        value={editedUnit.health}
+                        onChange={(e) => editUnit({ health: Number(e.target.value) })}
+                        className="w-full"
+                      />
+                      <button
+                        onClick={() => {
+                          setScenario(removeUnit(scenario, editorSelection.theater, editorSelection.id));
+                          setEditorSelection(null);
+                        }}
+                        className="w-full py-1 bg-red-900 hover:bg-red-800 rounded"
+                      >
+                        Delete Unit
+                      </button>
+                    </div>
+                  ) : (
+                    <p className="text-slate-500">Select a unit to edit its attributes.</p>
+                  )}
+                  <button
+                    onClick={() => setEditing(false)}
+                    className="w-full py-1 bg-slate-700 hover:bg-slate-600 rounded"
+                  >
+                    Done
+                  </button>
+                </div>
+              )}
             </div>
 
             <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
               <h3 className="text-sm font-semibold mb-3">Statistics</h3>
               <div className="space-y-2 text-xs">
+                {hasPanel(profile, 'fps') && (
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">{profile.loop === 'interval' ? 'Updates/s' : 'FPS'}</span>
+                    <span className="font-mono text-green-400">{isRunning ? fps : 0}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span className="text-slate-400">Current Strategy</span>
                   <span className="font-mono text-purple-400">
-                    {strategies.find(s => s.approach === currentStrategy)?.name || 'Exploring'}
+                    {STRATEGIES.find(s => s.approach === currentStrategy)?.name || 'Exploring'}
                   </span>
                 </div>
                 <div className="flex justify-between">
@@ -943,6 +1565,16 @@ const SCEPTERComplete = () => {
                   <span className="text-slate-400">COAs Explored</span>
                   <span className="font-mono">{exploredCOAs}</span>
                 </div>
+                {reserves && !hasPanel(profile, 'logistics') && (
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Commander Reserves</span>
+                    <span className="font-mono text-blue-400">{reserves.available}</span>
+                  </div>
+                )}
+                <div className="flex justify-between">
+                  <span className="text-slate-400">Optimizer Generation</span>
+                  <span className="font-mono text-purple-400">{optimizer.generation}</span>
+                </div>
                 <div className="flex justify-between">
                   <span className="text-slate-400">Best Found</span>
                   <span className="font-mono text-green-400">{bestCOAs.length}</span>
@@ -951,9 +1583,108 @@ const SCEPTERComplete = () => {
             </div>
 
             <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
-              <h3 className="text-sm font-semibold mb-2">Top COAs</h3>
+              <h3 className="text-sm font-semibold mb-3">Force Composition</h3>
+              <div className="space-y-1 text-xs">
+                <div className="grid grid-cols-3 text-slate-500">
+                  <span>Type</span>
+                  <span className="text-right text-blue-400">Blue</span>
+                  <span className="text-right text-red-400">Red</span>
+                </div>
+                {Object.entries(UNIT_TYPES).map(([type, stats]) => (
+                  <div key={type} className="grid grid-cols-3" title={`Cost ${stats.cost}, armor ${stats.armor * 100}%`}>
+                    <span className="text-slate-400">{stats.name}</span>
+                    <span className="text-right font-mono">{countUnits('blue', type)}</span>
+                    <span className="text-right font-mono">{countUnits('red', type)}</span>
+                  </div>
+                ))}
+                <div className="grid grid-cols-3 border-t border-slate-700 pt-1">
+                  <span className="text-slate-400">Force Value</span>
+                  <span className="text-right font-mono text-blue-400">
+                    {forceCost(livingAgents.filter(a => a.team === 'blue'))}
+                  </span>
+                  <span className="text-right font-mono text-red-400">
+                    {forceCost(livingAgents.filter(a => a.team === 'red'))}
+                  </span>
+                </div>
+              </div>
+            </div>
+
+            {campaign && (
+              <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
+                <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
+                  <Award size={16} />
+                  Campaign
+                </h3>
+                <div className="space-y-2 text-xs">
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Phase</span>
+                    <span className="font-mono">
+                      {campaign.phaseIndex + 1}/{theaters.length} · {campaign.phaseTime.toFixed(1)}s
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Status</span>
+                    <span className={`font-semibold uppercase ${
+                      campaign.status === 'victory' ? 'text-green-400'
+                        : campaign.status === 'defeat' ? 'text-red-400'
+                        : 'text-yellow-400'
+                    }`}>
+                      {campaign.status}
+                    </span>
+                  </div>
+                  <div className="border-t border-slate-700 pt-2 space-y-1">
+                    {campaign.objectives.map(objective => (
+                      <div key={objective.text} className="flex gap-2">
+                        <span className={
+                          objective.status === 'complete' ? 'text-green-400'
+                            : objective.status === 'failed' ? 'text-red-400'
+                            : objective.status === 'active' ? 'text-yellow-400'
+                            : 'text-slate-500'
+                        }>
+                          {{ complete: '✓', failed: '✗', active: '▶', pending: '○' }[objective.status]}
+                        </span>
+                        <span className="text-slate-300">{objective.text}</span>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="border-t border-slate-700 pt-2 grid grid-cols-2 gap-1">
+                    <span className="text-slate-400">Phases Won</span>
+                    <span className="font-mono text-right text-green-400">{campaign.score.phasesWon}</span>
+                    <span className="text-slate-400">Phases Failed</span>
+                    <span className="font-mono text-right text-red-400">{campaign.score.phasesFailed}</span>
+                    <span className="text-slate-400">Red Destroyed</span>
+                    <span className="font-mono text-right">{campaign.score.redDestroyed}</span>
+                    <span className="text-slate-400">Blue Lost</span>
+                    <span className="font-mono text-right">{campaign.score.blueLost}</span>
+                    <span className="text-slate-400">Points</span>
+                    <span className="font-mono text-right text-purple-400">{campaign.score.points}</span>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="text-sm font-semibold">Top COAs</h3>
+                <button
+                  onClick={() => optimizeCOAs(() => liveContext.current, deriveSeed(seed, `optimizer-${exploredCOAs}`))}
+                  disabled={optimizer.running || !followsStrategy}
+                  className="px-2 py-1 bg-purple-700 hover:bg-purple-600 disabled:opacity-50 rounded text-xs"
+                >
+                  {!optimizer.running
+                    ? 'Optimize'
+                    : optimizer.continuous
+                      ? `Exploring · Gen ${optimizer.generation + 1}`
+                      : `Gen ${optimizer.generation + 1}/${SIMULATION_CONFIG.OPTIMIZER_GENERATIONS}...`}
+                </button>
+              </div>
+              {evaluationError && (
+                <div className="mb-2 text-xs text-red-400 break-words">COA scoring failed: {evaluationError}</div>
+              )}
               <div className="max-h-64 overflow-y-auto space-y-2">
-                {bestCOAs.length === 0 ? (
+                {!followsStrategy ? (
+                  <p className="text-xs text-slate-500">Blue follows your orders in Human vs AI, so no COAs are scored.</p>
+                ) : bestCOAs.length === 0 ? (
                   <p className="text-xs text-slate-500">Start simulation to discover strategies...</p>
                 ) : (
                   bestCOAs.map((coa, idx) => (
@@ -961,11 +1692,34 @@ const SCEPTERComplete = () => {
                       <div className="flex items-center justify-between mb-1">
                         <span className="text-xs font-mono text-blue-400">{coa.name}</span>
                         <span className="text-xs bg-green-900 text-green-300 px-2 py-0.5 rounded font-bold">
-                          {coa.score}
+                          {coa.score} ±{coa.evaluation.score.ci.toFixed(1)}
                         </span>
                       </div>
                       <div className="text-xs text-slate-300 font-semibold">{coa.strategy}</div>
-                      <div className="text-xs text-slate-500">@{coa.time}s</div>
+                      {coa.evaluation.plan && (
+                        <div className="text-xs text-purple-300">
+                          Flank {(coa.evaluation.plan.tactics.flankAngle * 180 / Math.PI).toFixed(0)}° · Speed ×{coa.evaluation.plan.tactics.speedScale.toFixed(2)} · Standoff {coa.evaluation.plan.tactics.standoff.toFixed(0)}
+                        </div>
+                      )}
+                      <div className="grid grid-cols-2 gap-x-2 text-xs text-slate-400 mt-1">
+                        <span>Neutralized</span>
+                        <span className="font-mono text-right">
+                          {coa.evaluation.targetsNeutralized.mean.toFixed(1)} ±{coa.evaluation.targetsNeutralized.ci.toFixed(1)}
+                        </span>
+                        <span>Blue Losses</span>
+                        <span className="font-mono text-right">
+                          {coa.evaluation.blueLosses.mean.toFixed(1)} ±{coa.evaluation.blueLosses.ci.toFixed(1)}
+                        </span>
+                        <span>Time to Obj.</span>
+                        <span className="font-mono text-right">
+                          {coa.evaluation.timeToObjective.mean === null
+                            ? 'n/a'
+                            : `${coa.evaluation.timeToObjective.mean.toFixed(1)}s ±${coa.evaluation.timeToObjective.ci.toFixed(1)}`}
+                        </span>
+                      </div>
+                      <div className="text-xs text-slate-500">
+                        @{coa.time}s · {coa.evaluation.rollouts} rollouts · {Math.round(coa.evaluation.successRate * 100)}% reach objective
+                      </div>
                       {idx === 0 && (
                         <div className="mt-1 text-xs text-yellow-400">★ Best Strategy</div>
                       )}
@@ -976,9 +1730,37 @@ const SCEPTERComplete = () => {
             </div>
           </div>
         </div>
+
+        {hasPanel(profile, 'charts') && (
+          <div className="mt-4">
+            <ChartsPanel samples={chartSamples} battles={historyBattles(simState)} />
+          </div>
+        )}
+
+        {hasPanel(profile, 'sweeps') && (
+          <div className="mt-4">
+            <SweepPanel
+              mode={mode}
+              getBase={() => ({
+                mode,
+                scenario: scenario && scenario.mode === mode ? scenario : null,
+                strategy: currentStrategy,
+                policy,
+                logistics
+              })}
+              seed={seed}
+            />
+          </div>
+        )}
+
+        {hasPanel(profile, 'benchmark') && (
+          <div className="mt-4">
+            <BenchmarkPanel />
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-export default SCEPTERComplete;
\ No newline at end of file
+export default App;
\ No newline at end of file
@@ -0,0 +1,113 @@
+/* ============================================================
+   Component: BenchmarkPanel
+   - Engine benchmark (simulation/benchmark.js): times the
+     engine on Standard mode battlespaces of growing size in a
+     worker and shows ticks per second by agent count.
+   - Optional panel of the app shell (App.jsx, profiles.js).
+============================================================ */
+import React, { useEffect, useRef, useState } from "react";
+import { Gauge } from "lucide-react";
+import { SIMULATION_CONFIG } from "../simulation/config.js";
+import { runBenchmark } from "../simulation/benchmark.js";
+import { createWorkerPool, isPoolTerminated } from "../simulation/workerPool.js";
+
+const BenchmarkPanel = () => {
+  const [results, setResults] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const poolRef = useRef(null);
+  const runRef = useRef(0); // bumped to drop results from a cancelled run
+
+  // Cancelling terminates the worker mid-size
+  const cancel = () => {
+    runRef.current += 1;
+    if (poolRef.current) poolRef.current.terminate();
+    poolRef.current = null;
+    setRunning(false);
+  };
+
+  useEffect(
+    () => () => {
+      runRef.current += 1;
+      if (poolRef.current) poolRef.current.terminate();
+      poolRef.current = null;
+    },
+    []
+  );
+
+  const start = () => {
+    const current = ++runRef.current;
+    // One worker, so sizes are timed one at a time
+    if (!poolRef.current) poolRef.current = createWorkerPool(1);
+    setResults([]);
+    setError(null);
+    setRunning(true);
+    runBenchmark({
+      pool: poolRef.current,
+      isCancelled: () => current !== runRef.current,
+      onResult: (result) => setResults((prev) => [...prev, result]),
+    })
+      .catch((failure) => {
+        // A cancelled run's size rejects with the terminated pool
+        if (current !== runRef.current || isPoolTerminated(failure)) return;
+        cancel();
+        setError(failure.message);
+      })
+      .finally(() => {
+        if (current === runRef.current) setRunning(false);
+      });
+  };
+
+  const fastest = Math.max(1, ...results.map((r) => r.ticksPerSecond));
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 border border-slate-700">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-semibold flex items-center gap-2">
+          <Gauge size={16} />
+          Engine Benchmark
+        </h3>
+        <button
+          onClick={running ? cancel : start}
+          className={`px-3 py-1 rounded text-xs ${
+            running ? "bg-red-600 hover:bg-red-700" : "bg-blue-600 hover:bg-blue-700"
+          }`}
+        >
+          {running
+            ? `Cancel (${results.length}/${SIMULATION_CONFIG.BENCHMARK_AGENT_COUNTS.length})`
+            : "Run Benchmark"}
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-400 mb-2 break-words">Benchmark failed: {error}</p>}
+      {results.length === 0 ? (
+        <p className="text-xs text-slate-500">
+          {running
+            ? "Timing..."
+            : `Times ${SIMULATION_CONFIG.BENCHMARK_TICKS} ticks at each of ${SIMULATION_CONFIG.BENCHMARK_AGENT_COUNTS.join(", ")} agents in one battlespace.`}
+        </p>
+      ) : (
+        <div className="space-y-1 text-xs">
+          {results.map((result) => (
+            <div key={result.agents} className="grid grid-cols-6 gap-2 items-center">
+              <span className="font-mono text-right">{result.agents}</span>
+              <div className="col-span-3 h-2 bg-slate-900 rounded overflow-hidden">
+                <div
+                  className="h-full bg-blue-500"
+                  style={{ width: `${(result.ticksPerSecond / fastest) * 100}%` }}
+                />
+              </div>
+              <span className="font-mono text-right text-blue-400">
+                {result.ticksPerSecond.toFixed(1)}/s
+              </span>
+              <span className="font-mono text-right text-slate-400">
+                {((result.seconds * 1000) / result.ticks).toFixed(1)}ms
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BenchmarkPanel;
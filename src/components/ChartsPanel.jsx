@@ -0,0 +1,105 @@
+/* ============================================================
+   Component: ChartsPanel
+   - Time-series charts of a run's history (simulation/history.js):
+     force strength per theater, success probability, cumulative
+     damage and the spread of top COA scores.
+   - Optional panel of the app shell (App.jsx, profiles.js).
+   - Animations are off: the charts redraw with every sample.
+============================================================ */
+import React from "react";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { TrendingUp } from "lucide-react";
+
+// Line colors per theater; blue strength is solid, red dashed
+const BATTLE_COLORS = ["#60a5fa", "#34d399", "#fbbf24", "#c084fc"];
+
+const TOOLTIP_STYLE = {
+  backgroundColor: "#0f172a",
+  border: "1px solid #334155",
+  fontSize: 11,
+};
+
+/* --------------------------
+   Helper: Chart
+   One titled line chart over simulated time.
+-------------------------- */
+const Chart = ({ title, samples, domain, children }) => (
+  <div className="bg-slate-900 rounded p-2 border border-slate-700">
+    <div className="text-xs text-slate-400 mb-1">{title}</div>
+    <ResponsiveContainer width="100%" height={160}>
+      <LineChart data={samples} margin={{ top: 4, right: 8, bottom: 0, left: -20 }}>
+        <CartesianGrid stroke="#1e293b" />
+        <XAxis
+          dataKey="time"
+          type="number"
+          domain={["dataMin", "dataMax"]}
+          tick={{ fontSize: 10, fill: "#94a3b8" }}
+          tickFormatter={(t) => `${t}s`}
+        />
+        <YAxis domain={domain} tick={{ fontSize: 10, fill: "#94a3b8" }} />
+        <Tooltip contentStyle={TOOLTIP_STYLE} labelFormatter={(t) => `${t}s`} />
+        <Legend wrapperStyle={{ fontSize: 10 }} />
+        {children}
+      </LineChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+const ChartsPanel = ({ samples, battles }) => {
+  const line = (key, name, color, dashed = false) => (
+    <Line
+      key={key}
+      dataKey={key}
+      name={name}
+      stroke={color}
+      strokeDasharray={dashed ? "4 3" : undefined}
+      dot={false}
+      isAnimationActive={false}
+      connectNulls
+    />
+  );
+
+  return (
+    <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-lg p-4 border border-slate-600">
+      <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
+        <TrendingUp size={16} />
+        Run Charts
+      </h3>
+      {samples.length === 0 ? (
+        <p className="text-xs text-slate-500">Start the simulation to chart the run...</p>
+      ) : (
+        <div className="grid grid-cols-2 gap-3">
+          <Chart title="Force Strength (blue solid, red dashed)" samples={samples} domain={[0, "auto"]}>
+            {battles.flatMap((name, index) => [
+              line(`blue${index}`, `${name} blue`, BATTLE_COLORS[index % BATTLE_COLORS.length]),
+              line(`red${index}`, `${name} red`, BATTLE_COLORS[index % BATTLE_COLORS.length], true),
+            ])}
+          </Chart>
+          <Chart title="Success Probability (%)" samples={samples} domain={[0, 100]}>
+            {line("successProbability", "Success", "#4ade80")}
+          </Chart>
+          <Chart title="Cumulative Damage Taken" samples={samples} domain={[0, "auto"]}>
+            {line("blueDamage", "Blue", "#60a5fa")}
+            {line("redDamage", "Red", "#f87171")}
+          </Chart>
+          <Chart title="Top COA Scores" samples={samples} domain={[0, 100]}>
+            {line("coaBest", "Best", "#4ade80")}
+            {line("coaMedian", "Median", "#fbbf24")}
+            {line("coaLowest", "Lowest kept", "#94a3b8", true)}
+          </Chart>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChartsPanel;
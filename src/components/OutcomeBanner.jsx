@@ -0,0 +1,40 @@
+/* ============================================================
+   Component: OutcomeBanner
+   - Result of a decided engagement (simulation/victory.js):
+     victory or defeat, why, and when. The run stops there;
+     onReset starts it over.
+   - Shown by the app shell (App.jsx) in every profile.
+============================================================ */
+import React from "react";
+import { Award, RotateCcw, ShieldOff } from "lucide-react";
+
+const OutcomeBanner = ({ engagement, onReset }) => {
+  const victory = engagement.status === "victory";
+  const Icon = victory ? Award : ShieldOff;
+  return (
+    <div
+      className={`mb-3 p-3 rounded-lg border flex items-center gap-3 ${
+        victory ? "bg-green-900/40 border-green-600" : "bg-red-900/40 border-red-600"
+      }`}
+    >
+      <Icon size={28} className={victory ? "text-green-400" : "text-red-400"} />
+      <div className="flex-1">
+        <div className={`text-lg font-bold ${victory ? "text-green-300" : "text-red-300"}`}>
+          {victory ? "VICTORY" : "DEFEAT"}
+        </div>
+        <div className="text-xs text-slate-300">
+          {engagement.reason} at {engagement.time.toFixed(1)}s
+        </div>
+      </div>
+      <button
+        onClick={onReset}
+        className="flex items-center gap-1 px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs"
+      >
+        <RotateCcw size={12} />
+        Reset
+      </button>
+    </div>
+  );
+};
+
+export default OutcomeBanner;
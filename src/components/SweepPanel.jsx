@@ -0,0 +1,238 @@
+/* ============================================================
+   Component: SweepPanel
+   - Sensitivity sweeps (simulation/sweep.js): pick one or two
+     policy / logistics settings, run headless simulations for
+     every grid cell on a worker pool, and read mission success
+     or casualties off a heatmap.
+   - Every setting not swept is taken from the live panels when
+     the sweep starts; getBase() -> { mode, scenario, strategy,
+     policy, logistics }.
+   - Settings the current mode doesn't read (sweepParameters)
+     are listed but disabled; a column choice the mode doesn't
+     read falls back to another that it does, a row choice to
+     none.
+   - Optional panel of the app shell (App.jsx, profiles.js).
+============================================================ */
+import React, { useEffect, useRef, useState } from "react";
+import { Grid3x3 } from "lucide-react";
+import { SIMULATION_CONFIG, STRATEGIES } from "../simulation/config.js";
+import { createSweep, runSweep, SWEEP_PARAMETERS, sweepParameters } from "../simulation/sweep.js";
+import { createWorkerPool, isPoolTerminated } from "../simulation/workerPool.js";
+
+const PARAMETER_KEYS = Object.keys(SWEEP_PARAMETERS);
+
+/* --------------------------
+   Helper: cellColor
+   Red (0) to green (1) for a cell's goodness.
+-------------------------- */
+const cellColor = (goodness) => `hsl(${Math.round(goodness * 120)}, 65%, 32%)`;
+
+const SweepPanel = ({ mode, getBase, seed }) => {
+  const [selectedX, setXKey] = useState("commsReliability");
+  const [selectedY, setYKey] = useState("forceLevel");
+  const parameterKeys = sweepParameters(mode);
+  const yKey = parameterKeys.includes(selectedY) ? selectedY : "";
+  const xKey = parameterKeys.includes(selectedX)
+    ? selectedX
+    : parameterKeys.find((key) => key !== yKey);
+  const [metric, setMetric] = useState("success"); // success | casualties
+  // Sweep being shown: { sweep, mode, strategy, cells: [[result | null]] }
+  const [run, setRun] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const poolRef = useRef(null);
+  const runRef = useRef(0); // bumped to drop results from a cancelled sweep
+
+  // Cancelling terminates the pool so queued cells stop too
+  const cancel = () => {
+    runRef.current += 1;
+    if (poolRef.current) poolRef.current.terminate();
+    poolRef.current = null;
+    setRunning(false);
+  };
+
+  useEffect(
+    () => () => {
+      runRef.current += 1;
+      if (poolRef.current) poolRef.current.terminate();
+      poolRef.current = null;
+    },
+    []
+  );
+
+  const start = () => {
+    const base = getBase();
+    const sweep = createSweep(xKey, yKey || null);
+    const rows = sweep.y ? sweep.y.values.length : 1;
+    const current = ++runRef.current;
+    if (!poolRef.current) poolRef.current = createWorkerPool();
+
+    setRun({
+      sweep,
+      mode: base.mode,
+      strategy: base.strategy,
+      cells: Array.from({ length: rows }, () => new Array(sweep.x.values.length).fill(null)),
+    });
+    setRunning(true);
+    setError(null);
+
+    runSweep({
+      pool: poolRef.current,
+      sweep,
+      base,
+      seed,
+      isCancelled: () => current !== runRef.current,
+      onCell: ({ row, column, result }) =>
+        setRun((prev) => ({
+          ...prev,
+          cells: prev.cells.map((cells, r) =>
+            r === row ? cells.map((cell, c) => (c === column ? result : cell)) : cells
+          ),
+        })),
+    })
+      .catch((failure) => {
+        // A cancelled sweep's cells reject with the terminated pool
+        if (current !== runRef.current || isPoolTerminated(failure)) return;
+        cancel();
+        setError(failure.message);
+      })
+      .finally(() => {
+        if (current === runRef.current) setRunning(false);
+      });
+  };
+
+  const done = run ? run.cells.flat().filter(Boolean).length : 0;
+  const total = run ? run.cells.flat().length : 0;
+  const maxCasualties = run
+    ? Math.max(1, ...run.cells.flat().filter(Boolean).map((cell) => cell.casualties.mean))
+    : 1;
+
+  const renderCell = (cell) => {
+    if (!cell) return { background: "#1e293b", text: "…" };
+    if (metric === "success") {
+      return {
+        background: cellColor(cell.successRate),
+        text: `${Math.round(cell.successRate * 100)}%`,
+      };
+    }
+    return {
+      background: cellColor(1 - cell.casualties.mean / maxCasualties),
+      text: cell.casualties.mean.toFixed(1),
+    };
+  };
+
+  const parameterSelect = (value, onChange, allowNone) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={running}
+      className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs"
+    >
+      {allowNone && <option value="">None</option>}
+      {PARAMETER_KEYS.map((key) => (
+        <option key={key} value={key} disabled={!parameterKeys.includes(key)}>
+          {SWEEP_PARAMETERS[key].name}
+          {parameterKeys.includes(key) ? "" : ` (not used in ${mode})`}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 border border-slate-700">
+      <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
+        <Grid3x3 size={16} />
+        Sensitivity Sweep
+      </h3>
+      <div className="grid grid-cols-4 gap-3 items-end mb-3">
+        <div>
+          <label className="text-xs text-slate-400 block mb-1">Columns</label>
+          {parameterSelect(xKey, setXKey, false)}
+        </div>
+        <div>
+          <label className="text-xs text-slate-400 block mb-1">Rows</label>
+          {parameterSelect(yKey, setYKey, true)}
+        </div>
+        <div>
+          <label className="text-xs text-slate-400 block mb-1">Show</label>
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs"
+          >
+            <option value="success">Mission success</option>
+            <option value="casualties">Blue casualties</option>
+          </select>
+        </div>
+        <button
+          onClick={running ? cancel : start}
+          disabled={!running && xKey === yKey}
+          className={`py-1 rounded text-xs disabled:opacity-40 ${
+            running ? "bg-red-600 hover:bg-red-700" : "bg-blue-600 hover:bg-blue-700"
+          }`}
+        >
+          {running ? `Cancel (${done}/${total})` : "Run Sweep"}
+        </button>
+      </div>
+
+      {error && <p className="text-xs text-red-400 mb-2 break-words">Sweep failed: {error}</p>}
+
+      {!run ? (
+        <p className="text-xs text-slate-500">
+          Each cell runs {SIMULATION_CONFIG.SWEEP_SEEDS} seeded simulations of{" "}
+          {SIMULATION_CONFIG.SWEEP_HORIZON}s in the current mode with the other settings as set
+          above. Settings the {mode} mode doesn't read are disabled.
+        </p>
+      ) : (
+        <div className="text-xs">
+          <div className="text-slate-400 mb-2">
+            {run.mode} · {STRATEGIES.find((s) => s.approach === run.strategy)?.name} ·{" "}
+            {SIMULATION_CONFIG.SWEEP_SEEDS} seeds per cell · {done}/{total} cells
+          </div>
+          <div
+            className="grid gap-1"
+            style={{ gridTemplateColumns: `auto repeat(${run.sweep.x.values.length}, minmax(0, 1fr))` }}
+          >
+            <div className="text-slate-500">
+              {run.sweep.y ? `${SWEEP_PARAMETERS[run.sweep.y.key].name} ↓` : ""}
+            </div>
+            {run.sweep.x.values.map((value) => (
+              <div key={value} className="text-center text-slate-400 font-mono">
+                {value}%
+              </div>
+            ))}
+            {run.cells.map((cells, row) => (
+              <React.Fragment key={row}>
+                <div className="text-right text-slate-400 font-mono pr-1">
+                  {run.sweep.y ? `${run.sweep.y.values[row]}%` : ""}
+                </div>
+                {cells.map((cell, column) => {
+                  const { background, text } = renderCell(cell);
+                  return (
+                    <div
+                      key={column}
+                      className="rounded py-2 text-center font-mono"
+                      style={{ background }}
+                      title={
+                        cell
+                          ? `Success ${Math.round(cell.successRate * 100)}%, casualties ${cell.casualties.mean.toFixed(1)} ±${cell.casualties.ci.toFixed(1)}`
+                          : "Running"
+                      }
+                    >
+                      {text}
+                    </div>
+                  );
+                })}
+              </React.Fragment>
+            ))}
+          </div>
+          <div className="text-center text-slate-500 mt-1">
+            {SWEEP_PARAMETERS[run.sweep.x.key].name} →
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SweepPanel;
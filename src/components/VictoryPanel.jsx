@@ -0,0 +1,144 @@
+/* ============================================================
+   Component: VictoryPanel
+   - Edits the win/loss conditions (simulation/victory.js) the
+     shell passes to the engine every tick, and lists how each
+     battle stands.
+   - conditions: { theater, overall } as in
+     DEFAULT_VICTORY_CONDITIONS; onChange gets the whole new
+     object.
+   - Shown by the app shell (App.jsx) in every profile.
+============================================================ */
+import React from "react";
+import { Flag } from "lucide-react";
+
+const BATTLE_COLORS = {
+  active: "text-slate-400",
+  won: "text-green-400",
+  lost: "text-red-400",
+};
+
+/* --------------------------
+   Helper: Slider
+   Labelled range input with its value underneath.
+-------------------------- */
+const Slider = ({ label, value, min, max, step = 1, format, onChange }) => (
+  <div>
+    <label className="text-xs text-slate-400 block mb-1">{label}</label>
+    <input
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="w-full"
+    />
+    <div className="text-xs text-center mt-1">{format(value)}</div>
+  </div>
+);
+
+const VictoryPanel = ({ conditions, onChange, engagement, mode }) => {
+  const setTheater = (changes) =>
+    onChange({ ...conditions, theater: { ...conditions.theater, ...changes } });
+  const setOverall = (changes) =>
+    onChange({ ...conditions, overall: { ...conditions.overall, ...changes } });
+  const { theater, overall } = conditions;
+  const percent = (value) => `${value}%`;
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-3 border border-slate-700">
+      <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
+        <Flag size={16} />
+        Victory Conditions
+      </h3>
+      {mode === "campaign" ? (
+        <p className="text-xs text-slate-500 mb-3">
+          Campaign phases are decided by the campaign rules; the overall conditions still apply.
+        </p>
+      ) : (
+        <div className="space-y-2 mb-3">
+          <label className="flex items-center gap-2 text-xs text-slate-400">
+            <input
+              type="checkbox"
+              checked={theater.targetsDestroyed}
+              onChange={(e) => setTheater({ targetsDestroyed: e.target.checked })}
+            />
+            Win a {mode === "multi-theater" ? "theater" : "battle"} by destroying all targets
+          </label>
+          <Slider
+            label="Objective Hold Time"
+            value={theater.objectiveHoldTime}
+            min={0}
+            max={60}
+            format={(value) => (value > 0 ? `${value}s` : "Off")}
+            onChange={(objectiveHoldTime) => setTheater({ objectiveHoldTime })}
+          />
+          <Slider
+            label={`${mode === "multi-theater" ? "Theater" : "Battle"} Lost Below`}
+            value={theater.minBlueStrength}
+            min={0}
+            max={90}
+            step={5}
+            format={percent}
+            onChange={(minBlueStrength) => setTheater({ minBlueStrength })}
+          />
+          {mode === "multi-theater" && (
+            <div>
+              <label className="text-xs text-slate-400 block mb-1">Theaters to Win</label>
+              <select
+                value={overall.theatersToWin}
+                onChange={(e) => setOverall({ theatersToWin: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs"
+              >
+                <option value="all">All</option>
+                <option value="majority">Majority</option>
+              </select>
+            </div>
+          )}
+        </div>
+      )}
+      <div className="space-y-2">
+        <Slider
+          label="Defeat Below Overall Strength"
+          value={overall.minBlueStrength}
+          min={0}
+          max={90}
+          step={5}
+          format={percent}
+          onChange={(minBlueStrength) => setOverall({ minBlueStrength })}
+        />
+        <Slider
+          label="Time Limit"
+          value={overall.timeLimit}
+          min={0}
+          max={600}
+          step={30}
+          format={(value) => (value > 0 ? `${value}s` : "None")}
+          onChange={(timeLimit) => setOverall({ timeLimit })}
+        />
+      </div>
+      {engagement.battles.length > 1 && (
+        <div className="mt-3 space-y-1 text-xs">
+          {engagement.battles.map((battle) => (
+            <div key={battle.name} className="flex justify-between">
+              <span>{battle.name}</span>
+              <span className={BATTLE_COLORS[battle.status]} title={battle.reason || undefined}>
+                {battle.status === "active" && battle.holdTime > 0
+                  ? `holding ${battle.holdTime.toFixed(0)}s`
+                  : battle.status}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+      {engagement.battles.length === 1 && engagement.battles[0].holdTime > 0 && (
+        <div className="mt-3 text-xs text-slate-400">
+          Objectives held for{" "}
+          <span className="font-mono text-green-400">{engagement.battles[0].holdTime.toFixed(0)}s</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VictoryPanel;
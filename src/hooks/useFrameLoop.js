@@ -0,0 +1,62 @@
+/* ============================================================
+   Hook: useFrameLoop
+   Drives the fixed-timestep clock (src/simulation/clock.js)
+   while running and hands the ticks it pays out to runTicks.
+   - loop "animation-frame": one update per display frame.
+   - loop "interval": one update every UPDATE_INTERVAL ms.
+   - speed (percent of real time) and runTicks are read through
+     a ref, so changing them mid-run applies at the next update
+     without resetting the clock.
+   Returns { alpha, fps }: where the latest update sits between
+   the last two ticks (1 while stopped) and updates per second.
+============================================================ */
+import { useEffect, useRef, useState } from "react";
+import { SIMULATION_CONFIG } from "../simulation/config.js";
+import { advanceClock, createClock } from "../simulation/clock.js";
+
+export const useFrameLoop = (isRunning, loop, speed, runTicks) => {
+  const [alpha, setAlpha] = useState(1);
+  const [fps, setFps] = useState(0);
+  const live = useRef(null);
+  useEffect(() => {
+    live.current = { speed, runTicks };
+  });
+
+  useEffect(() => {
+    if (!isRunning) return;
+
+    let clock = createClock();
+    let last = performance.now();
+    let frames = 0;
+    let fpsTimer = last;
+    let handle;
+
+    const update = (now) => {
+      const advanced = advanceClock(clock, (now - last) / 1000, live.current.speed / 100);
+      last = now;
+      clock = advanced.clock;
+      if (advanced.ticks > 0) live.current.runTicks(advanced.ticks);
+      setAlpha(advanced.alpha);
+
+      frames++;
+      if (now - fpsTimer > 1000) {
+        setFps(Math.round((frames * 1000) / (now - fpsTimer)));
+        frames = 0;
+        fpsTimer = now;
+      }
+    };
+
+    if (loop === "interval") {
+      handle = setInterval(() => update(performance.now()), SIMULATION_CONFIG.UPDATE_INTERVAL);
+      return () => clearInterval(handle);
+    }
+    const frame = (now) => {
+      update(now);
+      handle = requestAnimationFrame(frame);
+    };
+    handle = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(handle);
+  }, [isRunning, loop]);
+
+  return { alpha: isRunning ? alpha : 1, fps };
+};
@@ -0,0 +1,131 @@
+/* ============================================================
+   Hook: useSimulation
+   Thin React wrapper around the headless engine in
+   src/simulation/engine.js, which owns all movement, targeting,
+   and engagement rules.
+   - Latest state, tick inputs and the run recordings
+     (replay.js) are held in refs, so a running loop steps with
+     the current sliders and ticks and edits are recorded
+     outside React's state updaters.
+============================================================ */
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createInitialState, issueOrders, setTheaterPriority } from "../simulation/engine.js";
+import { createReplay, recordEdit, recordStep, replayLength } from "../simulation/replay.js";
+import { createStepper } from "../simulation/stepper.js";
+
+export const useSimulation = (mode, seed, policy, logistics, theaterStrategies, victory) => {
+  const [simState, setSimState] = useState(() => createInitialState(mode, seed));
+  const stateRef = useRef(simState);
+  const replaysRef = useRef({ current: createReplay(simState), previous: null });
+  // state before the last tick, which rendering interpolates from (clock.js)
+  const previousRef = useRef(simState);
+  // latest tick inputs, refreshed every render
+  const inputsRef = useRef(null);
+  useEffect(() => {
+    inputsRef.current = { theaterStrategies, policy, logistics, victory };
+  });
+
+  const commit = useCallback((next, previous = next) => {
+    previousRef.current = previous;
+    stateRef.current = next;
+    setSimState(next);
+  }, []);
+
+  /* --------------------------
+     initializeMode
+     Chosen mode from a seed, or from a loaded scenario's
+     units when one is given, committing forceLevel% of the
+     blue force. The finished run's recording is kept as the
+     previous replay.
+  -------------------------- */
+  const initializeMode = useCallback(
+    (selectedMode, selectedSeed, selectedScenario, forceLevel) => {
+      const initial = createInitialState(selectedMode, selectedSeed, selectedScenario, forceLevel);
+      const { current, previous } = replaysRef.current;
+      replaysRef.current = {
+        current: createReplay(initial),
+        previous: replayLength(current) > 0 ? current : previous,
+      };
+      commit(initial);
+    },
+    [commit]
+  );
+
+  /* --------------------------
+     stepSimulation
+     Advances the engine by dt seconds under the controller's
+     `controls` ({ strategy }, or a plan's inputs), passed per
+     tick since the controller can switch them between two
+     ticks of the same frame. theaterStrategies overrides the
+     strategy per theater (null = follow); victory holds the
+     win/loss conditions. Stable across renders.
+  -------------------------- */
+  const stepSimulation = useMemo(
+    () =>
+      createStepper(stateRef, inputsRef, (next, inputs, dt) => {
+        recordStep(replaysRef.current.current, inputs, dt, next);
+        commit(next, stateRef.current);
+      }),
+    [commit]
+  );
+
+  // the latest state, including ticks React hasn't rendered yet
+  const getState = useCallback(() => stateRef.current, []);
+
+  // edits between ticks are recorded so replays include them
+  const edit = useCallback(
+    (next) => {
+      recordEdit(replaysRef.current.current, next);
+      commit(next);
+    },
+    [commit]
+  );
+
+  /* --------------------------
+     changeTheaterPriority
+     Multi-Theater: a theater's weight in the commander's
+     reserve allocation.
+  -------------------------- */
+  const changeTheaterPriority = useCallback(
+    (theaterId, priority) => {
+      edit(setTheaterPriority(stateRef.current, theaterId, priority));
+    },
+    [edit]
+  );
+
+  /* --------------------------
+     orderUnits
+     Human vs AI: hands a player order to the selected
+     blue agents.
+  -------------------------- */
+  const orderUnits = useCallback(
+    (agentIds, order) => {
+      edit(issueOrders(stateRef.current, agentIds, order));
+    },
+    [edit]
+  );
+
+  return {
+    simState,
+    theaters: simState.theaters,
+    agents: simState.agents,
+    depot: simState.depot,
+    convoys: simState.convoys,
+    suppliesDelivered: simState.suppliesDelivered,
+    beliefs: simState.beliefs,
+    simTime: simState.time,
+    campaign: simState.campaign,
+    reserves: simState.reserves,
+    objectives: simState.objectives,
+    zones: simState.zones,
+    terrain: simState.terrain,
+    engagement: simState.engagement,
+    previousState: previousRef.current,
+    replays: replaysRef.current,
+    initializeMode,
+    stepSimulation,
+    getState,
+    orderUnits,
+    changeTheaterPriority,
+  };
+};
@@ -0,0 +1,183 @@
+/* ============================================================
+   Hook: useStrategyEvaluation
+   Scores COAs (Courses of Action) and keeps the best found.
+   - evaluateCurrentStrategy: Monte Carlo rollouts of one
+     strategy from the current state, as the controller
+     switches to it, scored on the worker pool.
+   - optimizeCOAs / startExploration: the cross-entropy
+     optimizer (src/simulation/optimizer.js) for a fixed number
+     of generations, or continuously until COA_LIMIT COAs have
+     been explored. Candidate plans are scored on a pool of Web
+     Workers, so searching never blocks the frame loop; starting
+     either cancels the other. A continuous search reports each
+     plan that beats its best so far, for the run to follow.
+   - error: message of the last failed scoring job (null when
+     none); jobs dropped by a reset or a cancelled search
+     aren't errors.
+   - getContext() -> { state, policy, logistics, time } is read
+     as each generation starts, so a search tracks the run.
+============================================================ */
+import { useCallback, useEffect, useRef, useState } from "react";
+import { SIMULATION_CONFIG, STRATEGIES } from "../simulation/config.js";
+import { getAllAgents } from "../simulation/engine.js";
+import { describePlan, runSearch } from "../simulation/optimizer.js";
+import { createWorkerPool, isPoolTerminated } from "../simulation/workerPool.js";
+
+const TOP_COAS = 10; // best COAs kept
+
+// Adds a COA to the best list, best score first
+const rankCOA = (list, coa) =>
+  [...list, coa]
+    .sort((a, b) => b.evaluation.score.mean - a.evaluation.score.mean)
+    .slice(0, TOP_COAS);
+
+export const useStrategyEvaluation = () => {
+  const [exploredCOAs, setExploredCOAs] = useState(0);
+  const [bestCOAs, setBestCOAs] = useState([]);
+  // running search: { running, continuous, generation }
+  const [optimizer, setOptimizer] = useState({ running: false, continuous: false, generation: 0 });
+  const [error, setError] = useState(null);
+  const poolRef = useRef(null);
+  const searchRef = useRef(0); // bumped to cancel a running search
+  const runRef = useRef(0); // bumped on reset to drop pending strategy scores
+  const exploredRef = useRef(0);
+
+  // Shut the workers down with the component
+  useEffect(
+    () => () => {
+      searchRef.current += 1;
+      runRef.current += 1;
+      if (poolRef.current) poolRef.current.terminate();
+      poolRef.current = null;
+    },
+    []
+  );
+
+  const record = useCallback((coa) => {
+    exploredRef.current += 1;
+    setBestCOAs((prev) => rankCOA(prev, { ...coa, id: `coa-${exploredRef.current}` }));
+    setExploredCOAs(exploredRef.current);
+  }, []);
+
+  /* --------------------------
+     evaluateCurrentStrategy
+     Scores a strategy by rollouts from `state` on the worker
+     pool and records it when they finish, unless the run was
+     reset meanwhile; skipped once blue has no active units.
+  -------------------------- */
+  const evaluateCurrentStrategy = useCallback(
+    (strategy, state, policy, logistics, time, rng) => {
+      if (!getAllAgents(state).some((a) => a.team === "blue" && a.active)) return;
+      if (!poolRef.current) poolRef.current = createWorkerPool();
+      const run = runRef.current;
+      const seed = Math.floor(rng() * 4294967296);
+      const strategyObj = STRATEGIES.find((s) => s.approach === strategy);
+      poolRef.current
+        .run({ state, inputs: { strategy, policy, logistics }, seed })
+        .then((evaluation) => {
+          if (run !== runRef.current) return;
+          record({
+            name: `COA-${exploredRef.current}`,
+            strategy: strategyObj ? strategyObj.name : "Unknown",
+            score: Math.round(evaluation.score.mean),
+            evaluation,
+            time,
+          });
+        })
+        .catch((failure) => {
+          if (run === runRef.current && !isPoolTerminated(failure)) setError(failure.message);
+        });
+    },
+    [record]
+  );
+
+  // Runs the optimizer; continuous searches stop at COA_LIMIT
+  const search = useCallback(
+    (getContext, seed, continuous, onLimit, onImprove) => {
+      if (!poolRef.current) poolRef.current = createWorkerPool();
+      const session = ++searchRef.current;
+      const limitReached = () => continuous && exploredRef.current >= SIMULATION_CONFIG.COA_LIMIT;
+      const isCancelled = () => session !== searchRef.current || limitReached();
+      setOptimizer({ running: true, continuous, generation: 0 });
+      setError(null);
+      let bestScore = -Infinity;
+
+      runSearch({
+        pool: poolRef.current,
+        getContext,
+        seed,
+        generations: continuous ? Infinity : SIMULATION_CONFIG.OPTIMIZER_GENERATIONS,
+        isCancelled,
+        onResult: (evaluation) => {
+          record({
+            name: `PLAN-${exploredRef.current + 1}`,
+            strategy: describePlan(evaluation.plan),
+            score: Math.round(evaluation.score.mean),
+            evaluation,
+            time: getContext().time,
+          });
+          if (onImprove && evaluation.score.mean > bestScore) {
+            bestScore = evaluation.score.mean;
+            onImprove(evaluation.plan);
+          }
+        },
+        onGeneration: (result) => setOptimizer({ running: true, continuous, generation: result.generation }),
+      })
+        .then(() => {
+          if (session === searchRef.current && limitReached()) onLimit();
+        })
+        .catch((failure) => {
+          if (session === searchRef.current && !isPoolTerminated(failure)) setError(failure.message);
+        })
+        .finally(() => {
+          if (session === searchRef.current) setOptimizer((prev) => ({ ...prev, running: false }));
+        });
+    },
+    [record]
+  );
+
+  /* --------------------------
+     optimizeCOAs
+     One OPTIMIZER_GENERATIONS search over plans (strategy per
+     theater, follow-up strategy and switch time, tactics).
+  -------------------------- */
+  const optimizeCOAs = useCallback((getContext, seed) => search(getContext, seed, false), [search]);
+
+  /* --------------------------
+     startExploration
+     Searches until stopped; onLimit() fires once COA_LIMIT
+     COAs have been explored. onImprove(plan) fires with each
+     plan scoring above every earlier one of this search.
+  -------------------------- */
+  const startExploration = useCallback(
+    (getContext, seed, onLimit, onImprove) => search(getContext, seed, true, onLimit, onImprove),
+    [search]
+  );
+
+  const stopExploration = useCallback(() => {
+    searchRef.current += 1;
+    setOptimizer((prev) => ({ ...prev, running: false }));
+  }, []);
+
+  const resetEvaluation = useCallback(() => {
+    searchRef.current += 1;
+    runRef.current += 1;
+    exploredRef.current = 0;
+    setOptimizer({ running: false, continuous: false, generation: 0 });
+    setError(null);
+    setExploredCOAs(0);
+    setBestCOAs([]);
+  }, []);
+
+  return {
+    exploredCOAs,
+    bestCOAs,
+    optimizer,
+    error,
+    evaluateCurrentStrategy,
+    optimizeCOAs,
+    startExploration,
+    stopExploration,
+    resetEvaluation,
+  };
+};
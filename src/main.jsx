@@ -3,9 +3,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { getProfile } from './profiles.js'
+
+// ?profile=orion picks the presentation (profiles.js)
+const profile = getProfile(new URLSearchParams(window.location.search).get('profile'))
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <App profile={profile} />
   </StrictMode>,
 )
@@ -0,0 +1,61 @@
+/* ============================================================
+   Application Profiles
+   - One shell (App.jsx) serves every presentation; a profile
+     picks its branding, the optional panels it shows and how
+     it drives and explores the simulation.
+   - title / subtitle: page heading; name prefixes saved
+     scenarios and reports.
+   - loop: "interval" (UPDATE_INTERVAL timer) or
+     "animation-frame" (display rate); both advance the
+     fixed-timestep clock (simulation/clock.js).
+   - exploration: "switching" (the controller switches
+     strategy every few seconds and scores each switch) or
+     "continuous" (the optimizer searches plans for as long as
+     the run goes, up to COA_LIMIT, and the run follows the
+     best plan found).
+   - speed: initial speed, percent of real time.
+   - glow: gradient canvas background and glowing agents.
+   - panels: optional panels shown: policy and logistics
+     (slider cards), analytics (Mission Impact Analytics), fps
+     (loop rate in Statistics), charts, sweeps and benchmark.
+============================================================ */
+
+export const PROFILES = {
+  scepter: {
+    id: "scepter",
+    title: "SCEPTER Strategy Exploration Engine",
+    subtitle: "Continuous COA Discovery with Policy & Logistics Modeling",
+    name: "SCEPTER",
+    loop: "interval",
+    exploration: "switching",
+    speed: 200,
+    glow: false,
+    panels: ["policy", "logistics", "analytics", "charts", "sweeps", "benchmark"],
+  },
+  // ORION TX: developed by Capt. M.D. Rana, USAF / Director, HAT Lab
+  orion: {
+    id: "orion",
+    title: "ORION TX Strategy Engine",
+    subtitle: "Real-Time COA Exploration & Multi-Theater Modeling",
+    name: "ORION TX",
+    loop: "animation-frame",
+    exploration: "continuous",
+    speed: 100,
+    glow: true,
+    panels: ["fps", "charts", "sweeps", "benchmark"],
+  },
+};
+
+export const DEFAULT_PROFILE = "scepter";
+
+/* --------------------------
+   getProfile
+   The profile with this id, or the default one.
+-------------------------- */
+export const getProfile = (id) => PROFILES[id] || PROFILES[DEFAULT_PROFILE];
+
+/* --------------------------
+   hasPanel
+   Whether the profile shows an optional panel.
+-------------------------- */
+export const hasPanel = (profile, panel) => profile.panels.includes(panel);
@@ -0,0 +1,126 @@
+/* ============================================================
+   Commander Reserve Allocation (Multi-Theater mode)
+   - The commander holds a pool of uncommitted blue units and,
+     every ALLOCATION_INTERVAL seconds, commits a batch to the
+     theater in greatest need.
+   - Need weighs theater priority against progress (share of
+     red destroyed) and the local force ratio.
+   - Theaters that are won release units above their garrison
+     back to the pool, so reserves shift to where the fight is.
+   - reserves: { available, timer, nextId }
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+import { rollUnitType } from "./units.js";
+
+/* --------------------------
+   createReserves
+   Fresh commander pool.
+-------------------------- */
+export const createReserves = () => ({
+  available: SIMULATION_CONFIG.RESERVE_UNITS,
+  timer: 0,
+  nextId: 0,
+});
+
+/* --------------------------
+   theaterProgress
+   Share of the theater's red force destroyed (0-1).
+-------------------------- */
+export const theaterProgress = (theater) => {
+  const red = theater.agents.filter((a) => a.team === "red");
+  if (red.length === 0) return 1;
+  return red.filter((a) => a.health <= 0).length / red.length;
+};
+
+/* --------------------------
+   theaterNeed
+   priority x remaining work x local force ratio.
+-------------------------- */
+export const theaterNeed = (theater) => {
+  const redAlive = theater.agents.filter((a) => a.team === "red" && a.health > 0).length;
+  const blueActive = theater.agents.filter((a) => a.team === "blue" && a.active).length;
+  return theater.priority * (1 - theaterProgress(theater)) * ((redAlive + 1) / (blueActive + 1));
+};
+
+/* --------------------------
+   allocationShares
+   Each theater's share of total need (0-1), i.e. how the
+   commander currently weights it for reserves.
+-------------------------- */
+export const allocationShares = (theaters) => {
+  const needs = theaters.map(theaterNeed);
+  const total = needs.reduce((sum, n) => sum + n, 0);
+  return needs.map((n) => (total > 0 ? n / total : 0));
+};
+
+/* --------------------------
+   Helper: createReserveAgent
+   Reserve units enter on the theater's blue edge, typed from
+   the blue force mix.
+-------------------------- */
+const createReserveAgent = (theaterId, index, rng) => ({
+  id: `t${theaterId}-res${index}`,
+  type: rollUnitType("blue", rng),
+  x: rng() * SIMULATION_CONFIG.GRID_SIZE * 0.1,
+  y: rng() * SIMULATION_CONFIG.GRID_SIZE,
+  vx: 0,
+  vy: 0,
+  team: "blue",
+  active: true,
+  health: 100,
+  fuel: 100,
+  ammo: 100,
+});
+
+/* --------------------------
+   allocateReserves
+   Advances the allocation timer and, when it fires, releases
+   surplus units from won theaters and commits a batch to the
+   neediest one. Returns { theaters, reserves }.
+-------------------------- */
+export const allocateReserves = (theaters, reserves, dt, rng) => {
+  const timer = reserves.timer + dt;
+  if (timer < SIMULATION_CONFIG.ALLOCATION_INTERVAL) {
+    return { theaters, reserves: { ...reserves, timer } };
+  }
+
+  let { available, nextId } = reserves;
+
+  // Release surplus from theaters with no red left
+  let updated = theaters.map((theater) => {
+    if (theaterProgress(theater) < 1) return theater;
+    const active = theater.agents.filter((a) => a.team === "blue" && a.active);
+    const surplus = active.slice(SIMULATION_CONFIG.RESERVE_GARRISON).map((a) => a.id);
+    if (surplus.length === 0) return theater;
+    available += surplus.length;
+    const released = new Set(surplus);
+    return {
+      ...theater,
+      agents: theater.agents.filter((a) => !released.has(a.id)),
+      released: theater.released + surplus.length,
+    };
+  });
+
+  // Commit a batch to the neediest theater
+  const needs = updated.map(theaterNeed);
+  const neediest = needs.indexOf(Math.max(...needs));
+  if (available > 0 && needs[neediest] > 0) {
+    const batch = Math.min(available, SIMULATION_CONFIG.RESERVE_BATCH);
+    const arrivals = [];
+    for (let i = 0; i < batch; i++) {
+      arrivals.push(createReserveAgent(updated[neediest].id, nextId++, rng));
+    }
+    available -= batch;
+    updated = updated.map((theater, index) =>
+      index === neediest
+        ? {
+            ...theater,
+            agents: [...theater.agents, ...arrivals],
+            allocated: theater.allocated + batch,
+          }
+        : theater
+    );
+  }
+
+  return { theaters: updated, reserves: { available, timer: 0, nextId } };
+};
@@ -0,0 +1,226 @@
+/* ============================================================
+   Agent Behaviors
+   - Per-agent decision rules for both sides: blue strategy
+     movement and the red force AI.
+   - Pure functions of their arguments; all randomness comes in
+     through the rng parameter.
+============================================================ */
+import { DEFAULT_TACTICS, SIMULATION_CONFIG, STRATEGIES } from "./config.js";
+import { engagementRange } from "./units.js";
+
+/* --------------------------
+   Helper: clampToGrid
+   Keeps a coordinate inside the battlespace.
+-------------------------- */
+export const clampToGrid = (value) =>
+  Math.max(0, Math.min(SIMULATION_CONFIG.GRID_SIZE, value));
+
+/* --------------------------
+   Helper: findNearest
+   Finds the closest target to an agent.
+-------------------------- */
+export const findNearest = (agent, targets) => {
+  if (targets.length === 0) return null;
+  let nearest = targets[0];
+  let minDistance = Infinity;
+  for (const target of targets) {
+    const distance = Math.hypot(target.x - agent.x, target.y - agent.y);
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearest = target;
+    }
+  }
+  return nearest;
+};
+
+/* --------------------------
+   Strategy behavior
+   Returns velocity (vx, vy) based on strategy type.
+   rng is only drawn from by the dispersed approach.
+   tactics tunes flank angle, speed and hit-and-run standoff.
+-------------------------- */
+export const getStrategyBehavior = (
+  agent,
+  nearest,
+  strategyApproach,
+  timeElapsed,
+  rng,
+  tactics = DEFAULT_TACTICS
+) => {
+  if (!nearest) return { vx: 0, vy: 0 };
+  const dx = nearest.x - agent.x;
+  const dy = nearest.y - agent.y;
+  const baseAngle = Math.atan2(dy, dx);
+  const dist = Math.hypot(dx, dy);
+  const agentNum = parseInt(agent.id.match(/\d+/)?.[0] || 0);
+
+  const config = STRATEGIES.find((s) => s.approach === strategyApproach) || STRATEGIES[0];
+  let angle = baseAngle;
+  let speedMod = config.speed * tactics.speedScale;
+
+  // Adjust movement angle per strategy
+  switch (strategyApproach) {
+    case "flank":
+      angle = baseAngle + (agentNum % 2 === 0 ? tactics.flankAngle : -tactics.flankAngle);
+      break;
+    case "pincer":
+      angle = baseAngle + (agentNum % 2 === 0 ? Math.PI / 2.5 : -Math.PI / 2.5);
+      break;
+    case "dispersed":
+      angle = baseAngle + (rng() - 0.5) * Math.PI / 2;
+      break;
+    case "concentrated":
+      angle = baseAngle + Math.sin(timeElapsed + agentNum) * 0.3;
+      break;
+    case "hitrun":
+      if (dist < tactics.standoff) {
+        angle = baseAngle + Math.PI;
+        speedMod *= 1.5;
+      }
+      break;
+    default:
+      break;
+  }
+  return { vx: Math.cos(angle) * speedMod, vy: Math.sin(angle) * speedMod };
+};
+
+/* --------------------------
+   Risk tolerance (policy.riskTolerance, 0-100)
+   Cautious blue units stop closing at a standoff inside their
+   engagement range and pull back once damaged; at 100 they
+   close in and fight to the end.
+-------------------------- */
+export const riskStandoff = (agent, riskTolerance) =>
+  engagementRange(agent) * SIMULATION_CONFIG.RISK_STANDOFF * (1 - riskTolerance / 100);
+
+export const riskWithdrawHealth = (riskTolerance) =>
+  SIMULATION_CONFIG.RISK_WITHDRAW_HEALTH * (1 - riskTolerance / 100);
+
+/* --------------------------
+   getBlueBehavior
+   Strategy movement (getStrategyBehavior) shaped by risk
+   tolerance: withdraw straight away from the nearest enemy
+   below riskWithdrawHealth, hold inside riskStandoff.
+-------------------------- */
+export const getBlueBehavior = (
+  agent,
+  nearest,
+  strategyApproach,
+  timeElapsed,
+  rng,
+  tactics,
+  riskTolerance
+) => {
+  const behavior = getStrategyBehavior(agent, nearest, strategyApproach, timeElapsed, rng, tactics);
+  if (!nearest) return behavior;
+  const dist = Math.hypot(nearest.x - agent.x, nearest.y - agent.y) || 1;
+  if (agent.health < riskWithdrawHealth(riskTolerance)) {
+    const speed = Math.hypot(behavior.vx, behavior.vy);
+    return {
+      vx: ((agent.x - nearest.x) / dist) * speed,
+      vy: ((agent.y - nearest.y) / dist) * speed,
+    };
+  }
+  if (dist < riskStandoff(agent, riskTolerance)) return { vx: 0, vy: 0 };
+  return behavior;
+};
+
+/* --------------------------
+   Helper: moveToward
+   Velocity of the given speed toward (x, y); zero once close.
+-------------------------- */
+export const moveToward = (agent, x, y, speed) => {
+  const dist = Math.hypot(x - agent.x, y - agent.y);
+  if (dist < speed) return { vx: 0, vy: 0 };
+  return {
+    vx: ((x - agent.x) / dist) * speed,
+    vy: ((y - agent.y) / dist) * speed,
+  };
+};
+
+/* --------------------------
+   Red force postures
+   hold           - no threat detected; return to home position
+   defend         - threat in range but outnumbered; stand and fire
+   reposition     - threat closing but outnumbered; regroup on allies
+   counter-attack - local odds favorable; engage using a strategy
+   retreat        - badly damaged; withdraw away from the threat
+-------------------------- */
+export const RED_POSTURES = ["hold", "defend", "reposition", "counter-attack", "retreat"];
+
+/* --------------------------
+   selectRedPosture
+   Picks a posture from health and the local force ratio
+   inside RED_DETECTION_RANGE.
+-------------------------- */
+export const selectRedPosture = (agent, threat, blueAgents, redAgents) => {
+  if (!threat) return "hold";
+  const threatDist = Math.hypot(threat.x - agent.x, threat.y - agent.y);
+  if (agent.health < SIMULATION_CONFIG.RED_RETREAT_HEALTH) return "retreat";
+  if (threatDist > SIMULATION_CONFIG.RED_DETECTION_RANGE) return "hold";
+
+  const inRange = (a) =>
+    Math.hypot(a.x - agent.x, a.y - agent.y) <= SIMULATION_CONFIG.RED_DETECTION_RANGE;
+  const localBlue = blueAgents.filter(inRange).length;
+  const localRed = redAgents.filter(inRange).length;
+
+  if (localBlue <= localRed * SIMULATION_CONFIG.RED_COUNTER_RATIO) return "counter-attack";
+  if (threatDist <= engagementRange(agent)) return "defend";
+  return "reposition";
+};
+
+/* --------------------------
+   sumPositions
+   Count and summed coordinates of a force, { count, x, y }.
+   Taken once per tick so each red agent can find the centroid
+   of its allies without rescanning the force.
+-------------------------- */
+export const sumPositions = (agents) =>
+  agents.reduce((sum, a) => ({ count: sum.count + 1, x: sum.x + a.x, y: sum.y + a.y }), {
+    count: 0,
+    x: 0,
+    y: 0,
+  });
+
+/* --------------------------
+   getRedBehavior
+   Returns velocity (vx, vy) for a red agent in the given posture.
+   Counter-attacks reuse getStrategyBehavior so red draws on the
+   same strategy catalogue as blue.
+   redTotals is sumPositions of the living red force, this agent
+   included.
+-------------------------- */
+export const getRedBehavior = (agent, threat, posture, redTotals, strategyApproach, timeElapsed, rng) => {
+  const config = STRATEGIES.find((s) => s.approach === strategyApproach) || STRATEGIES[0];
+  const speed = config.speed * SIMULATION_CONFIG.RED_SPEED_FACTOR;
+
+  switch (posture) {
+    case "counter-attack": {
+      const behavior = getStrategyBehavior(agent, threat, strategyApproach, timeElapsed, rng);
+      return {
+        vx: behavior.vx * SIMULATION_CONFIG.RED_SPEED_FACTOR,
+        vy: behavior.vy * SIMULATION_CONFIG.RED_SPEED_FACTOR,
+      };
+    }
+    case "retreat": {
+      const dist = Math.hypot(agent.x - threat.x, agent.y - threat.y) || 1;
+      return {
+        vx: ((agent.x - threat.x) / dist) * speed,
+        vy: ((agent.y - threat.y) / dist) * speed,
+      };
+    }
+    case "reposition": {
+      // Allies are the red force less this agent
+      const allies = redTotals.count - 1;
+      if (allies <= 0) return { vx: 0, vy: 0 };
+      const cx = (redTotals.x - agent.x) / allies;
+      const cy = (redTotals.y - agent.y) / allies;
+      return moveToward(agent, cx, cy, speed);
+    }
+    case "defend":
+      return { vx: 0, vy: 0 };
+    case "hold":
+    default:
+      return moveToward(agent, agent.homeX ?? agent.x, agent.homeY ?? agent.y, speed);
+  }
+};
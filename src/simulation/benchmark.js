@@ -0,0 +1,73 @@
+/* ============================================================
+   Engine Benchmark
+   - Times step() on Standard mode battlespaces of growing size
+     and reports ticks per second by agent count, to check how
+     the engine scales.
+   - A battlespace of n agents fields three blue to every red,
+     spawned from the same seed at every size.
+   - Timing uses performance.now(), available in browsers,
+     workers and Node.
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+import { createInitialState, initStandardMode, step } from "./engine.js";
+import { createRng, deriveSeed } from "./random.js";
+import { clearTerrain } from "./terrain.js";
+
+const BENCHMARK_INPUTS = {
+  strategy: "direct",
+  policy: { forceLevel: 100, roe: "standard", commanderIntent: "balanced", riskTolerance: 50 },
+  logistics: { supplyRate: 100, maintenanceLevel: 100, commsReliability: 100, transportCapacity: 100 },
+};
+
+/* --------------------------
+   createBenchmarkState
+   Standard mode state with agentCount agents.
+-------------------------- */
+export const createBenchmarkState = (agentCount, seed = 0) => {
+  const state = createInitialState("standard", seed);
+  const red = Math.max(1, Math.round(agentCount / 4));
+  const agents = initStandardMode(createRng(deriveSeed(seed, "benchmark")), agentCount - red, red);
+  return { ...state, agents, terrain: clearTerrain(state.terrain, agents) };
+};
+
+/* --------------------------
+   runBenchmarkCase
+   Times `ticks` steps of one battlespace size.
+   Returns { agents, ticks, seconds, ticksPerSecond }.
+-------------------------- */
+export const runBenchmarkCase = ({ agents, ticks, seed = 0 }) => {
+  let state = createBenchmarkState(agents, seed);
+  const started = performance.now();
+  for (let i = 0; i < ticks; i++) {
+    state = step(state, BENCHMARK_INPUTS, SIMULATION_CONFIG.COA_ROLLOUT_DT);
+  }
+  const seconds = (performance.now() - started) / 1000;
+  return { agents, ticks, seconds, ticksPerSecond: seconds > 0 ? ticks / seconds : Infinity };
+};
+
+/* --------------------------
+   runBenchmark
+   Runs every agent count on a worker pool (workerPool.js), one
+   at a time so the timings don't compete for cores.
+   - onResult(result) streams each size as it finishes; sizes
+     still to run are skipped once isCancelled() is true.
+   Resolves with the results so far.
+-------------------------- */
+export const runBenchmark = async ({
+  pool,
+  counts = SIMULATION_CONFIG.BENCHMARK_AGENT_COUNTS,
+  ticks = SIMULATION_CONFIG.BENCHMARK_TICKS,
+  seed = 0,
+  isCancelled = () => false,
+  onResult = () => {},
+}) => {
+  const results = [];
+  for (const agents of counts) {
+    if (isCancelled()) break;
+    const result = await pool.run({ benchmark: { agents, ticks, seed } });
+    if (isCancelled()) break;
+    results.push(result);
+    onResult(result);
+  }
+  return results;
+};
@@ -0,0 +1,146 @@
+/* ============================================================
+   Campaign Layer
+   - A campaign is a sequence of theater battles (phases) fought
+     by one blue force. Survivors, their damaged health, and their
+     remaining fuel and ammo carry into the next phase.
+   - Bookkeeping only: the engine fights each phase with the
+     Resources mode rules and calls in here between phases.
+============================================================ */
+import { SIMULATION_CONFIG, THEATER_NAMES } from "./config.js";
+import { topUp } from "./logistics.js";
+
+/* --------------------------
+   Campaign phases
+   One per theater, each with a stronger red force.
+-------------------------- */
+export const CAMPAIGN_PHASES = THEATER_NAMES.map((name, index) => ({
+  name,
+  redCount: 3 + index,
+  objective: `Neutralize all enemy forces in ${name}`,
+}));
+
+/* --------------------------
+   Campaign-wide objective
+   Victory needs a majority of phases won and this share of the
+   starting blue force still in action.
+-------------------------- */
+export const CAMPAIGN_MIN_FORCE_RATIO = 0.5;
+
+/* --------------------------
+   createCampaign
+   Fresh campaign bookkeeping, starting at phase 0.
+-------------------------- */
+export const createCampaign = (startingBlue) => ({
+  status: "active", // active | victory | defeat
+  phaseIndex: 0,
+  phaseTime: 0,
+  startingBlue,
+  objectives: [
+    ...CAMPAIGN_PHASES.map((phase, index) => ({
+      text: phase.objective,
+      status: index === 0 ? "active" : "pending",
+    })),
+    {
+      text: `Keep ${CAMPAIGN_MIN_FORCE_RATIO * 100}% of the force in action`,
+      status: "pending",
+    },
+  ],
+  score: { phasesWon: 0, phasesFailed: 0, redDestroyed: 0, blueLost: 0, points: 0 },
+});
+
+/* --------------------------
+   resolvePhase
+   "won" when red is wiped out, "lost" when blue is, "failed"
+   when the phase clock runs out; null while still in progress.
+-------------------------- */
+export const resolvePhase = (agents, phaseTime) => {
+  if (!agents.some((a) => a.team === "red" && a.health > 0)) return "won";
+  if (!agents.some((a) => a.team === "blue" && a.active)) return "lost";
+  if (phaseTime >= SIMULATION_CONFIG.CAMPAIGN_PHASE_TIME) return "failed";
+  return null;
+};
+
+/* --------------------------
+   Helper: scorePoints
+   Campaign scoreboard points.
+-------------------------- */
+const scorePoints = ({ phasesWon, redDestroyed, blueLost }) =>
+  phasesWon * 100 + redDestroyed * 10 - blueLost * 15;
+
+/* --------------------------
+   recordPhase
+   Closes the current phase: updates the scoreboard and
+   objectives and decides whether the campaign continues.
+   Lost blue agents stay in the force list, so the loss count
+   is cumulative across phases.
+-------------------------- */
+export const recordPhase = (campaign, outcome, agents) => {
+  const redDestroyed = agents.filter((a) => a.team === "red" && a.health <= 0).length;
+  const blueLost = agents.filter((a) => a.team === "blue" && !a.active).length;
+  const blueActive = agents.filter((a) => a.team === "blue" && a.active).length;
+
+  const score = {
+    ...campaign.score,
+    phasesWon: campaign.score.phasesWon + (outcome === "won" ? 1 : 0),
+    phasesFailed: campaign.score.phasesFailed + (outcome === "won" ? 0 : 1),
+    redDestroyed: campaign.score.redDestroyed + redDestroyed,
+    blueLost,
+  };
+  score.points = scorePoints(score);
+
+  const nextPhase = campaign.phaseIndex + 1;
+  const forceHeld = blueActive >= campaign.startingBlue * CAMPAIGN_MIN_FORCE_RATIO;
+  let status = "active";
+  if (outcome === "lost") status = "defeat";
+  else if (nextPhase >= CAMPAIGN_PHASES.length) {
+    status =
+      score.phasesWon > CAMPAIGN_PHASES.length / 2 && forceHeld ? "victory" : "defeat";
+  }
+
+  const forceObjectiveIndex = CAMPAIGN_PHASES.length;
+  const objectives = campaign.objectives.map((objective, index) => {
+    if (index === campaign.phaseIndex) {
+      return { ...objective, status: outcome === "won" ? "complete" : "failed" };
+    }
+    if (index === nextPhase && index < forceObjectiveIndex && status === "active") {
+      return { ...objective, status: "active" };
+    }
+    if (index === forceObjectiveIndex) {
+      if (!forceHeld) return { ...objective, status: "failed" };
+      if (status !== "active") return { ...objective, status: "complete" };
+    }
+    return objective;
+  });
+
+  return {
+    ...campaign,
+    status,
+    phaseIndex: status === "active" ? nextPhase : campaign.phaseIndex,
+    phaseTime: 0,
+    objectives,
+    score,
+  };
+};
+
+/* --------------------------
+   carryForward
+   Redeploys the blue force into the next theater's staging
+   area. Health and remaining fuel/ammo persist; the supply
+   line tops each survivor up by CAMPAIGN_RESUPPLY x supplyRate.
+-------------------------- */
+export const carryForward = (agents, logistics, rng) => {
+  const resupply = SIMULATION_CONFIG.CAMPAIGN_RESUPPLY * (logistics.supplyRate / 100);
+  return agents
+    .filter((a) => a.team === "blue")
+    .map((agent) => {
+      if (!agent.active) return agent;
+      const { agent: resupplied } = topUp(agent, resupply);
+      return {
+        ...resupplied,
+        x: rng() * SIMULATION_CONFIG.GRID_SIZE * 0.25,
+        vx: 0,
+        vy: 0,
+        withdrawing: false,
+      };
+    });
+};
@@ -0,0 +1,72 @@
+/* ============================================================
+   Simulation Clock
+   - Fixed-timestep accumulator: wall time, scaled by the speed
+     multiplier, is banked and paid out in whole TICK_DT ticks,
+     so a run advances the same way at any frame rate.
+   - What is left over between ticks becomes an interpolation
+     factor, and interpolateState() draws agents that far
+     between the last two ticks.
+   - clock: { accumulator } (simulated seconds owed to the engine)
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+
+/* --------------------------
+   createClock
+-------------------------- */
+export const createClock = () => ({ accumulator: 0 });
+
+/* --------------------------
+   advanceClock
+   Banks `elapsed` wall seconds at `speed` (1 = real time).
+   Returns { clock, ticks, alpha }: the ticks to run this frame
+   and how far (0..1) the frame sits past the last of them.
+   - A frame counts at most MAX_FRAME_TIME, and ticks past
+     MAX_TICKS_PER_FRAME are dropped rather than owed, so a
+     slow engine falls behind real time instead of stalling.
+-------------------------- */
+export const advanceClock = (clock, elapsed, speed) => {
+  const { TICK_DT, MAX_FRAME_TIME, MAX_TICKS_PER_FRAME } = SIMULATION_CONFIG;
+  const banked = clock.accumulator + Math.min(Math.max(elapsed, 0), MAX_FRAME_TIME) * speed;
+  // Slack for rounding, so 0.1 + 0.2 still pays out three ticks
+  const due = Math.floor(banked / TICK_DT + 1e-9);
+  const ticks = Math.min(due, MAX_TICKS_PER_FRAME);
+  const accumulator = due > ticks ? 0 : Math.max(0, banked - ticks * TICK_DT);
+  return { clock: { accumulator }, ticks, alpha: Math.min(1, accumulator / TICK_DT) };
+};
+
+// Agents (or convoys) drawn `alpha` of the way from their
+// previous tick position; new arrivals are drawn where they are
+const lerpPositions = (previous, current, alpha) => {
+  if (!previous || previous === current) return current;
+  const before = new Map(previous.map((item) => [item.id, item]));
+  return current.map((item) => {
+    const from = before.get(item.id);
+    if (!from || (from.x === item.x && from.y === item.y)) return item;
+    return {
+      ...item,
+      x: from.x + (item.x - from.x) * alpha,
+      y: from.y + (item.y - from.y) * alpha,
+    };
+  });
+};
+
+/* --------------------------
+   interpolateState
+   The view to draw between two ticks: `current` with agent and
+   convoy positions eased from `previous` by alpha. Everything
+   else (health, status, beliefs) is shown as of `current`.
+   For drawing only; never step the result.
+-------------------------- */
+export const interpolateState = (previous, current, alpha) => {
+  if (!previous || previous === current || alpha >= 1) return current;
+  const view = { ...current };
+  if (current.theaters) {
+    view.theaters = current.theaters.map((theater, i) => {
+      const before = previous.theaters && previous.theaters[i];
+      return before ? { ...theater, agents: lerpPositions(before.agents, theater.agents, alpha) } : theater;
+    });
+  }
+  if (current.agents) view.agents = lerpPositions(previous.agents, current.agents, alpha);
+  if (current.convoys) view.convoys = lerpPositions(previous.convoys, current.convoys, alpha);
+  return view;
+};
@@ -0,0 +1,17 @@
+/* ============================================================
+   COA Rollout Worker
+   - Runs COA scoring jobs off the main thread for the worker pool.
+   - Message in:  { id, state, inputs, plan?, seed, rollouts }
+                  or { id, sweepCell } or { id, benchmark }
+   - Message out: { id, evaluation } or { id, error }
+============================================================ */
+import { runCOAJob } from "./workerPool.js";
+
+self.onmessage = ({ data }) => {
+  const { id, ...job } = data;
+  try {
+    self.postMessage({ id, evaluation: runCOAJob(job) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,268 @@
+/* ============================================================
+   Simulation Configuration
+   - Shared by the headless engine and every UI shell.
+   - Keeping all constants centralized simplifies experimentation.
+============================================================ */
+export const SIMULATION_CONFIG = {
+  GRID_SIZE: 400, // pixels for each canvas
+  NUM_THEATERS: 4,
+  UPDATE_INTERVAL: 50, // ms between updates of interval loops (profiles.js)
+  STRATEGY_SWITCH_TIME: { min: 3, max: 5 }, // seconds before switching COA
+  ENGAGEMENT_DISTANCE: 35,
+  HIT_DAMAGE: 2,
+  BASE_SUCCESS_PROBABILITY: 50,
+
+  // Simulation clock (clock.js)
+  TICK_DT: 0.1, // simulated seconds per engine tick
+  MAX_FRAME_TIME: 0.25, // wall seconds one frame may bank (longer gaps, e.g. a hidden tab, are dropped)
+  MAX_TICKS_PER_FRAME: 40, // ticks run in one frame before the clock stops catching up
+
+  // Red force AI
+  RED_DETECTION_RANGE: 120, // red reacts to blue inside this radius
+  RED_COUNTER_RATIO: 2, // counter-attack while local blue <= ratio x local red
+  RED_RETREAT_HEALTH: 25, // red withdraws below this health
+  RED_SPEED_FACTOR: 0.6, // red moves slower than blue strategy speeds
+  RED_HIT_DAMAGE: 5,
+  RED_HIT_CHANCE: 0.6,
+
+  // Terrain and movement
+  TERRAIN_CELL: 20, // pixels per terrain cell
+  TERRAIN_PATCHES: { rough: 5, forest: 5, obstacle: 4 }, // patches generated per battlespace
+  TERRAIN_HILLS: 3, // elevation peaks per battlespace
+  ROUTE_LOOKAHEAD: 40, // pixels checked ahead before routing around obstacles
+  SPATIAL_CELL: 40, // pixels per spatial index cell (targeting and fire queries)
+
+  // Policy and maintenance effects
+  RISK_STANDOFF: 0.9, // share of engagement range blue holds at 0% risk tolerance
+  RISK_WITHDRAW_HEALTH: 40, // blue pulls back below this health at 0% risk tolerance
+  INTENT_BIAS: 3, // selection weight of strategies matching the commander's intent
+  BREAKDOWN_RATE: 0.02, // breakdowns per blue unit per second at 0% maintenance
+  BREAKDOWN_REPAIR_TIME: 8, // seconds a broken-down unit is out of action
+
+  // Commander reserves (Multi-Theater mode)
+  RESERVE_UNITS: 8, // uncommitted blue units held by the commander
+  ALLOCATION_INTERVAL: 4, // seconds between allocation decisions
+  RESERVE_BATCH: 2, // units committed per decision
+  RESERVE_GARRISON: 2, // units a won theater keeps before releasing the rest
+
+  // Resources mode
+  FUEL_PER_DISTANCE: 0.1, // fuel burned per pixel moved
+  AMMO_PER_SHOT: 1,
+  LOW_FUEL: 20, // withdraw to the depot below this
+  RESUPPLIED_LEVEL: 80, // rejoin the fight once fuel and ammo reach this
+  DEPOT_RADIUS: 25,
+  DEPOT_RESUPPLY_RATE: 5, // fuel/ammo per tick at 100% supply rate
+  CONVOY_INTERVAL: 5, // seconds between dispatches at 100% supply rate
+  CONVOY_LOAD: 200, // fuel + ammo carried at 100% transport capacity
+  CONVOY_SPEED: 4,
+  MAX_CONVOYS: 3,
+  RESUPPLY_RADIUS: 40, // convoy tops up every blue agent within this radius
+
+  // Fog of War mode
+  BLUE_SENSOR_RADIUS: 90,
+  RED_SENSOR_RADIUS: 120,
+  RED_COMMS_RELIABILITY: 90, // % of red sightings shared with the red team
+  CONTACT_STALE_TIME: 3, // seconds before a contact is drawn as stale
+  CONTACT_EXPIRY_TIME: 15, // seconds before an unconfirmed contact is dropped
+
+  // Campaign mode
+  CAMPAIGN_PHASE_TIME: 60, // seconds allowed per phase before it is failed
+  CAMPAIGN_RESUPPLY: 30, // fuel + ammo per agent between phases at 100% supply rate
+
+  // Replays
+  REPLAY_KEYFRAME_INTERVAL: 100, // ticks between full-state keyframes
+  REPLAY_SPEEDS: [0.25, 0.5, 1, 2, 4], // playback speed choices
+
+  // After-action reports
+  AAR_SNAPSHOTS: 6, // canvas snapshots per report
+  AAR_SNAPSHOT_INTERVAL: 10, // simulated seconds between canvas snapshots
+  AAR_TOP_COAS: 5, // best COAs listed per report
+
+  // Charts panel
+  HISTORY_INTERVAL: 1, // simulated seconds between chart samples
+  HISTORY_MAX_SAMPLES: 600, // samples kept before older ones are thinned
+
+  // COA evaluation (Monte Carlo rollouts)
+  COA_ROLLOUTS: 8, // forward simulations per evaluated COA
+  COA_HORIZON: 30, // simulated seconds per rollout
+  COA_ROLLOUT_DT: 0.1, // seconds per rollout tick
+  COA_MAX_WORKERS: 8, // upper bound on the rollout worker pool
+  COA_LIMIT: 20000, // exploration auto-pauses after this many COAs
+
+  // COA optimizer (cross-entropy search over strategy parameters)
+  OPTIMIZER_POPULATION: 16, // candidate plans per generation
+  OPTIMIZER_ELITE_FRACTION: 0.25, // share of each generation refit into the search
+  OPTIMIZER_SMOOTHING: 0.7, // weight of the elite refit vs. the previous distribution
+  OPTIMIZER_ROLLOUTS: 4, // rollouts per candidate plan
+  OPTIMIZER_GENERATIONS: 6, // generations per one-off optimization run
+
+  // Sensitivity sweeps (batch runs over policy / logistics settings)
+  SWEEP_STEPS: 5, // values per swept parameter
+  SWEEP_SEEDS: 4, // seeded runs per grid cell
+  SWEEP_HORIZON: 60, // simulated seconds per run
+
+  // Engine benchmark (ticks per second by agent count)
+  BENCHMARK_AGENT_COUNTS: [100, 250, 500, 1000, 2000, 4000],
+  BENCHMARK_TICKS: 20, // ticks timed per agent count
+};
+
+/* --------------------------
+   Terrain types
+   speed: movement multiplier (0 = impassable)
+   cover: share of incoming damage absorbed
+   Obstacles also block line of sight.
+-------------------------- */
+export const TERRAIN_TYPES = {
+  open: { name: "Open", speed: 1, cover: 0 },
+  rough: { name: "Rough Ground", speed: 0.55, cover: 0 },
+  forest: { name: "Forest", speed: 0.75, cover: 0.4 },
+  obstacle: { name: "Obstacle", speed: 0, cover: 0 },
+};
+
+/* --------------------------
+   Unit type catalogue
+   speed, range, damage and sensor are multipliers on the team
+   baseline (strategy speed, ENGAGEMENT_DISTANCE, HIT_DAMAGE or
+   RED_HIT_DAMAGE, sensor radius), so infantry fights as the
+   original undifferentiated agents did.
+   antiAir: damage multiplier against air units (replaces damage)
+   armor: share of incoming damage absorbed
+   cost: force value in points
+   air: flies over terrain (no slowdown, obstacles, cover or
+        line-of-sight limits)
+   indirect: fires without line of sight
+   glyph: canvas shape
+-------------------------- */
+export const UNIT_TYPES = {
+  infantry: {
+    name: "Infantry",
+    speed: 1,
+    range: 1,
+    damage: 1,
+    antiAir: 0.25,
+    armor: 0,
+    sensor: 1,
+    cost: 1,
+    air: false,
+    indirect: false,
+    glyph: "circle",
+  },
+  armor: {
+    name: "Armor",
+    speed: 1.2,
+    range: 1.2,
+    damage: 2,
+    antiAir: 0,
+    armor: 0.5,
+    sensor: 0.8,
+    cost: 4,
+    air: false,
+    indirect: false,
+    glyph: "square",
+  },
+  artillery: {
+    name: "Artillery",
+    speed: 0.6,
+    range: 3,
+    damage: 1.5,
+    antiAir: 0,
+    armor: 0.1,
+    sensor: 0.8,
+    cost: 3,
+    air: false,
+    indirect: true,
+    glyph: "triangle",
+  },
+  "air-defense": {
+    name: "Air Defense",
+    speed: 0.8,
+    range: 2,
+    damage: 0.5,
+    antiAir: 3,
+    armor: 0.2,
+    sensor: 1.3,
+    cost: 3,
+    air: false,
+    indirect: false,
+    glyph: "hexagon",
+  },
+  "recon-uav": {
+    name: "Recon UAV",
+    speed: 1.6,
+    range: 0,
+    damage: 0,
+    antiAir: 0,
+    armor: 0,
+    sensor: 2,
+    cost: 2,
+    air: true,
+    indirect: false,
+    glyph: "chevron",
+  },
+};
+
+/* --------------------------
+   Force mix
+   Share of each unit type in randomly spawned forces.
+-------------------------- */
+export const FORCE_MIX = {
+  blue: { infantry: 0.45, armor: 0.2, artillery: 0.15, "air-defense": 0.1, "recon-uav": 0.1 },
+  red: { infantry: 0.5, armor: 0.2, artillery: 0.15, "air-defense": 0.15 },
+};
+
+export const THEATER_NAMES = [
+  "Northern Front",
+  "Eastern Sector",
+  "Southern Theater",
+  "Western Zone",
+];
+
+/* --------------------------
+   Strategy catalogue
+   speed: base movement per tick
+   coordination: how tightly agents act together (0-1)
+   intent: the commander's intent it serves (offensive,
+           balanced or defensive); see INTENT_BIAS
+-------------------------- */
+export const STRATEGIES = [
+  { name: "Direct Assault", approach: "direct", speed: 2.5, coordination: 0.3, intent: "offensive" },
+  { name: "Flanking Maneuver", approach: "flank", speed: 2, coordination: 0.7, intent: "balanced" },
+  { name: "Pincer Movement", approach: "pincer", speed: 2, coordination: 0.9, intent: "offensive" },
+  { name: "Dispersed Engagement", approach: "dispersed", speed: 1.8, coordination: 0.2, intent: "defensive" },
+  { name: "Concentrated Strike", approach: "concentrated", speed: 3, coordination: 0.8, intent: "offensive" },
+  { name: "Hit and Run", approach: "hitrun", speed: 3.5, coordination: 0.4, intent: "defensive" },
+];
+
+/* --------------------------
+   Default tactics
+   Tunable parameters of the strategy behaviors; the COA
+   optimizer searches around these.
+   flankAngle: radians off the target bearing for flanking
+   speedScale: multiplier on the strategy's base speed
+   standoff: distance at which hit-and-run breaks away
+-------------------------- */
+export const DEFAULT_TACTICS = {
+  flankAngle: Math.PI / 3,
+  speedScale: 1,
+  standoff: 80,
+};
+
+/* --------------------------
+   Default victory conditions
+   theater: decides each battle (a Multi-Theater theater, or
+            the single battlespace)
+     targetsDestroyed: won once every red unit is destroyed
+     objectiveHoldTime: won once every objective area has been
+       held (blue inside, no red) this many seconds in a row;
+       0 turns it off, and battles without objectives skip it
+     minBlueStrength: lost when the share of its blue force
+       still in action falls below this %
+   overall: decides the engagement
+     theatersToWin: "all" or a "majority" of battles won
+     minBlueStrength: defeat below this % of all blue in action
+     timeLimit: defeat after this many seconds; 0 = no limit
+-------------------------- */
+export const DEFAULT_VICTORY_CONDITIONS = {
+  theater: { targetsDestroyed: true, objectiveHoldTime: 10, minBlueStrength: 0 },
+  overall: { theatersToWin: "all", minBlueStrength: 20, timeLimit: 300 },
+};
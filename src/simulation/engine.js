@@ -0,0 +1,928 @@
+/* ============================================================
+   Headless Simulation Engine
+   - Pure, framework-free movement, targeting, and engagement rules.
+   - step(state, inputs, dt) returns the next state without mutating
+     the previous one, so the same rules run in React components,
+     Node scripts, workers, and unit tests.
+   - All randomness comes from a seeded PRNG whose state lives in
+     state.rngState, so a seed plus inputs replays identically.
+   - Targeting and fire go through spatial indexes (spatial.js)
+     rebuilt every tick. A nearest-target search costs about the
+     same at any force size, but in-range queries return every
+     agent in range, and on the fixed-size battlespace that grows
+     with the force, so crowded ticks tend toward O(n^2).
+============================================================ */
+import { DEFAULT_TACTICS, SIMULATION_CONFIG, STRATEGIES, THEATER_NAMES } from "./config.js";
+import { createRng, deriveSeed, restoreRng } from "./random.js";
+import {
+  findNearest,
+  getBlueBehavior,
+  getRedBehavior,
+  getStrategyBehavior,
+  moveToward,
+  selectRedPosture,
+  sumPositions,
+} from "./behavior.js";
+import {
+  createDepot,
+  resupplyAtDepot,
+  shouldWithdraw,
+  spendFuel,
+  updateConvoys,
+} from "./logistics.js";
+import { getKnownContacts, getSensorRadius, updateBeliefs } from "./sensors.js";
+import {
+  CAMPAIGN_PHASES,
+  carryForward,
+  createCampaign,
+  recordPhase,
+  resolvePhase,
+} from "./campaign.js";
+import { HOLD_ORDER, assignOrders, getOrderBehavior } from "./orders.js";
+import { allocateReserves, createReserves } from "./allocation.js";
+import { isBrokenDown, updateBreakdowns } from "./maintenance.js";
+import { createEngagement, isDecided, updateEngagement } from "./victory.js";
+import { moveAgent, steer } from "./navigation.js";
+import { createSpatialIndex, nearestInIndex, queryRadius } from "./spatial.js";
+import { clearTerrain, coverAt, generateTerrain } from "./terrain.js";
+import {
+  engagementRange,
+  hitDamage,
+  inLineOfSight,
+  isAir,
+  MAX_ENGAGEMENT_RANGE,
+  rollUnitType,
+  unitType,
+} from "./units.js";
+
+export { findNearest, getStrategyBehavior };
+
+/* --------------------------
+   Helper: createRedAgent
+   Red agents remember the position they were set to defend.
+-------------------------- */
+const createRedAgent = (id, x, y, type) => ({
+  id,
+  type,
+  x,
+  y,
+  vx: 0,
+  vy: 0,
+  homeX: x,
+  homeY: y,
+  team: "red",
+  health: 100,
+  posture: "hold",
+});
+
+/* --------------------------
+   Multi-theater setup:
+   Each theater gets random agents and targets.
+-------------------------- */
+export const initMultiTheater = (rng) => {
+  const theaters = [];
+  for (let t = 0; t < SIMULATION_CONFIG.NUM_THEATERS; t++) {
+    const theaterAgents = [];
+    const numAgents = 8 + Math.floor(rng() * 5);
+    const numTargets = 2 + Math.floor(rng() * 3);
+
+    // Blue team (friendly) initialization
+    for (let i = 0; i < numAgents; i++) {
+      theaterAgents.push({
+        id: `t${t}-b${i}`,
+        type: rollUnitType("blue", rng),
+        x: rng() * SIMULATION_CONFIG.GRID_SIZE * 0.25,
+        y: rng() * SIMULATION_CONFIG.GRID_SIZE,
+        vx: 0,
+        vy: 0,
+        team: "blue",
+        active: true,
+        health: 100,
+        fuel: 100,
+        ammo: 100,
+      });
+    }
+
+    // Red team (enemy) initialization
+    for (let i = 0; i < numTargets; i++) {
+      theaterAgents.push(
+        createRedAgent(
+          `t${t}-r${i}`,
+          SIMULATION_CONFIG.GRID_SIZE * 0.7 + rng() * SIMULATION_CONFIG.GRID_SIZE * 0.25,
+          rng() * SIMULATION_CONFIG.GRID_SIZE,
+          rollUnitType("red", rng)
+        )
+      );
+    }
+
+    theaters.push({
+      id: t,
+      name: THEATER_NAMES[t],
+      agents: theaterAgents,
+      objectives: [],
+      zones: [],
+      priority: rng(), // weight in the commander's reserve allocation
+      allocated: 0, // reserve units committed here
+      released: 0, // units released back to the reserve pool
+    });
+  }
+  return theaters;
+};
+
+/* --------------------------
+   Standard mode setup:
+   Single-canvas simulation, 20 blue against 6 red unless
+   told otherwise (the benchmark fields more).
+-------------------------- */
+export const initStandardMode = (rng, blueCount = 20, redCount = 6) => {
+  const agents = [];
+  for (let i = 0; i < blueCount; i++) {
+    agents.push({
+      id: `b${i}`,
+      type: rollUnitType("blue", rng),
+      x: rng() * SIMULATION_CONFIG.GRID_SIZE * 0.3,
+      y: rng() * SIMULATION_CONFIG.GRID_SIZE,
+      vx: 0,
+      vy: 0,
+      team: "blue",
+      active: true,
+      health: 100,
+    });
+  }
+  for (let i = 0; i < redCount; i++) {
+    agents.push(
+      createRedAgent(
+        `r${i}`,
+        SIMULATION_CONFIG.GRID_SIZE * 0.7 + rng() * SIMULATION_CONFIG.GRID_SIZE * 0.2,
+        rng() * SIMULATION_CONFIG.GRID_SIZE,
+        rollUnitType("red", rng)
+      )
+    );
+  }
+  return agents;
+};
+
+/* --------------------------
+   Mode decorations
+   Per-mode fields added on top of a standard agent.
+-------------------------- */
+const withSupplies = (agent) =>
+  agent.team === "blue" ? { ...agent, fuel: 100, ammo: 100, withdrawing: false } : agent;
+
+const withSensors = (agent) => ({ ...agent, sensorRadius: getSensorRadius(agent) });
+
+const withOrders = (agent) =>
+  agent.team === "blue" ? { ...agent, order: HOLD_ORDER } : agent;
+
+/* --------------------------
+   Resources mode setup:
+   Standard layout with fuel and ammo on every blue agent.
+-------------------------- */
+export const initResourcesMode = (rng) => initStandardMode(rng).map(withSupplies);
+
+/* --------------------------
+   Fog of War mode setup:
+   Standard layout with a sensor radius on every agent.
+-------------------------- */
+export const initFogOfWarMode = (rng) => initStandardMode(rng).map(withSensors);
+
+/* --------------------------
+   Human vs AI mode setup:
+   Standard layout with every blue agent holding for orders.
+-------------------------- */
+export const initHumanVsAIMode = (rng) => initStandardMode(rng).map(withOrders);
+
+/* --------------------------
+   Scenario setup
+   Builds agents from scenario units (see scenario.js) with the
+   same fields the random setups give each mode.
+-------------------------- */
+const SCENARIO_DECORATIONS = {
+  "multi-theater": (agent) =>
+    agent.team === "blue" ? { ...agent, fuel: 100, ammo: 100 } : agent,
+  resources: withSupplies,
+  campaign: withSupplies,
+  "fog-of-war": withSensors,
+  "human-vs-ai": withOrders,
+};
+
+const agentFromUnit = (unit) => {
+  const agent =
+    unit.team === "red"
+      ? createRedAgent(unit.id, unit.x, unit.y, unit.type)
+      : {
+          id: unit.id,
+          type: unit.type,
+          x: unit.x,
+          y: unit.y,
+          vx: 0,
+          vy: 0,
+          team: "blue",
+          active: true,
+        };
+  return { ...agent, name: unit.name, health: unit.health };
+};
+
+const scenarioAgents = (mode, units) =>
+  units.map(agentFromUnit).map(SCENARIO_DECORATIONS[mode] || ((agent) => agent));
+
+/* --------------------------
+   spawnCampaignRed
+   Red force for one campaign phase, dug in on the far side.
+-------------------------- */
+const spawnCampaignRed = (phaseIndex, rng) => {
+  const redAgents = [];
+  for (let i = 0; i < CAMPAIGN_PHASES[phaseIndex].redCount; i++) {
+    redAgents.push(
+      createRedAgent(
+        `p${phaseIndex}-r${i}`,
+        SIMULATION_CONFIG.GRID_SIZE * 0.7 + rng() * SIMULATION_CONFIG.GRID_SIZE * 0.25,
+        rng() * SIMULATION_CONFIG.GRID_SIZE,
+        rollUnitType("red", rng)
+      )
+    );
+  }
+  return redAgents;
+};
+
+/* --------------------------
+   Campaign mode setup:
+   The Resources mode blue force against the first phase's red.
+-------------------------- */
+export const initCampaignMode = (rng) => [
+  ...initResourcesMode(rng).filter((a) => a.team === "blue"),
+  ...spawnCampaignRed(0, rng),
+];
+
+/* --------------------------
+   Helper: commitForce
+   Fields only forceLevel% of each battle's blue units (the
+   Force Level policy setting).
+-------------------------- */
+const commitForce = (state, forceLevel) => {
+  const fielded = (agents) => {
+    const blue = agents.filter((a) => a.team === "blue");
+    const kept = new Set(
+      blue.slice(0, Math.max(1, Math.round((blue.length * forceLevel) / 100))).map((a) => a.id)
+    );
+    return agents.filter((a) => a.team !== "blue" || kept.has(a.id));
+  };
+  if (state.mode === "multi-theater") {
+    return {
+      ...state,
+      theaters: state.theaters.map((theater) => ({ ...theater, agents: fielded(theater.agents) })),
+    };
+  }
+  const agents = fielded(state.agents);
+  return {
+    ...state,
+    agents,
+    campaign: state.campaign
+      ? { ...state.campaign, startingBlue: agents.filter((a) => a.team === "blue").length }
+      : null,
+  };
+};
+
+/* --------------------------
+   createInitialState
+   Builds a fresh engine state for the chosen mode
+   (multi-theater, resources, fog-of-war, campaign, human-vs-ai,
+   or standard) from a seed. The red
+   force strategy is drawn from the same catalogue as blue's.
+   A parsed scenario (scenario.js), when given, replaces the
+   random spawns: its theaters in Multi-Theater mode, otherwise
+   its first theater.
+   Each battlespace gets terrain (terrain.js) from its own
+   seed stream, opened up around the starting positions.
+   forceLevel (policy, 20-100) is the share of each battle's
+   blue units committed.
+-------------------------- */
+export const createInitialState = (mode, seed = 0, scenario = null, forceLevel = 100) => {
+  const isMultiTheater = mode === "multi-theater";
+  const isResources = mode === "resources";
+  const rng = createRng(deriveSeed(seed, "engine"));
+
+  const isCampaign = mode === "campaign";
+  let agents = [];
+  if (scenario && !isMultiTheater) agents = scenarioAgents(mode, scenario.theaters[0].units);
+  else if (isResources) agents = initResourcesMode(rng);
+  else if (isCampaign) agents = initCampaignMode(rng);
+  else if (mode === "fog-of-war") agents = initFogOfWarMode(rng);
+  else if (mode === "human-vs-ai") agents = initHumanVsAIMode(rng);
+  else if (!isMultiTheater) agents = initStandardMode(rng);
+
+  // Campaign phases reuse the theaters array; each holds the final
+  // snapshot of its battle once fought
+  let theaters = [];
+  if (isMultiTheater && scenario) {
+    theaters = scenario.theaters.map((theater, index) => ({
+      id: index,
+      name: theater.name,
+      agents: scenarioAgents(mode, theater.units),
+      objectives: theater.objectives,
+      zones: theater.zones,
+      priority: theater.priority,
+      allocated: 0,
+      released: 0,
+    }));
+  } else if (isMultiTheater) theaters = initMultiTheater(rng);
+  if (isMultiTheater) {
+    theaters = theaters.map((theater) => ({
+      ...theater,
+      terrain: clearTerrain(
+        generateTerrain(createRng(deriveSeed(seed, `terrain-${theater.id}`))),
+        theater.agents
+      ),
+    }));
+  } else if (isCampaign) {
+    theaters = CAMPAIGN_PHASES.map((phase, index) => ({
+      id: index,
+      name: phase.name,
+      agents: [],
+      priority: 1,
+    }));
+  }
+
+  // Single-canvas terrain, from its own stream so spawns match
+  // the same seed with or without terrain
+  const depot = isResources || isCampaign ? createDepot() : null;
+  const terrain = isMultiTheater
+    ? null
+    : clearTerrain(
+        generateTerrain(createRng(deriveSeed(seed, "terrain"))),
+        depot ? [...agents, depot] : agents
+      );
+
+  const state = {
+    mode,
+    seed,
+    time: 0,
+    theaters,
+    agents,
+    terrain,
+    // Objective areas and no-go zones for single-canvas modes
+    // (theater.objectives / theater.zones otherwise)
+    objectives: scenario && !isMultiTheater ? scenario.theaters[0].objectives : [],
+    zones: scenario && !isMultiTheater ? scenario.theaters[0].zones : [],
+    redStrategy: STRATEGIES[Math.floor(rng() * STRATEGIES.length)].approach,
+    // Resources mode logistics
+    depot,
+    convoys: [],
+    supplyTimer: 0,
+    convoyCount: 0,
+    suppliesDelivered: 0,
+    // Fog of War team belief maps (last-known enemy positions)
+    beliefs: { blue: {}, red: {} },
+    campaign: isCampaign
+      ? createCampaign(agents.filter((a) => a.team === "blue").length)
+      : null,
+    // Multi-Theater commander reserve pool
+    reserves: isMultiTheater ? createReserves() : null,
+    rngState: rng.getState(),
+  };
+  const committed = commitForce(state, forceLevel);
+  // Win/loss bookkeeping (victory.js)
+  return { ...committed, engagement: createEngagement(committed) };
+};
+
+/* --------------------------
+   getAllAgents
+   Flattens the active mode's agents into one list.
+-------------------------- */
+export const getAllAgents = (state) =>
+  state.mode === "multi-theater"
+    ? state.theaters.flatMap((t) => t.agents)
+    : state.agents;
+
+/* --------------------------
+   moveRedForce
+   Each living red agent picks a posture against the blue force
+   and moves accordingly over the field's terrain.
+   knownBlueFor(agent), when given, limits what each red agent
+   knows about blue (Fog of War). Otherwise threats and the
+   local force ratio come from spatial index queries.
+-------------------------- */
+const moveRedForce = (agents, field, redStrategy, time, rng, knownBlueFor) => {
+  const redAgents = agents.filter((a) => a.team === "red" && a.health > 0);
+  const blueIndex = createSpatialIndex(agents.filter((a) => a.team === "blue" && a.active));
+  const redIndex = createSpatialIndex(redAgents);
+  const redTotals = sumPositions(redAgents);
+  const detection = SIMULATION_CONFIG.RED_DETECTION_RANGE;
+
+  return agents.map((agent) => {
+    if (agent.team !== "red" || agent.health <= 0) return agent;
+    const visibleBlue = knownBlueFor ? knownBlueFor(agent) : null;
+    const threat = visibleBlue ? findNearest(agent, visibleBlue) : nearestInIndex(blueIndex, agent);
+    // Units beyond the detection range never count toward the local ratio
+    const posture = selectRedPosture(
+      agent,
+      threat,
+      visibleBlue || queryRadius(blueIndex, agent.x, agent.y, detection),
+      queryRadius(redIndex, agent.x, agent.y, detection)
+    );
+    const behavior = getRedBehavior(agent, threat, posture, redTotals, redStrategy, time, rng);
+    const goal =
+      posture === "hold" ? { x: agent.homeX ?? agent.x, y: agent.homeY ?? agent.y } : threat;
+    const { vx, vy, route } = steer(agent, behavior.vx, behavior.vy, field, goal);
+    return { ...agent, posture, vx, vy, route, ...moveAgent(agent, vx, vy, field) };
+  });
+};
+
+/* --------------------------
+   Helpers: canEngage, afterProtection
+   Fire needs a working shooter (not broken down), its range,
+   line of sight (unless it fires indirectly) and a weapon that
+   can hurt the target.
+   The target's armor and, for ground units, the cover at its
+   position absorb part of the damage.
+-------------------------- */
+const canEngage = (shooter, target, terrain) =>
+  !isBrokenDown(shooter) &&
+  Math.hypot(shooter.x - target.x, shooter.y - target.y) < engagementRange(shooter) &&
+  hitDamage(shooter, target) > 0 &&
+  (unitType(shooter).indirect || inLineOfSight(terrain, shooter, target));
+
+const afterProtection = (damage, target, terrain) => {
+  const cover = isAir(target) ? 0 : coverAt(terrain, target.x, target.y);
+  return damage * (1 - unitType(target).armor) * (1 - cover);
+};
+
+/* --------------------------
+   applyRedFire
+   Red agents in `shooters` (the pre-damage snapshot, so both
+   sides fire simultaneously) attrit blue agents they can
+   engage. Blue agents at 0 health go inactive.
+-------------------------- */
+const applyRedFire = (agents, shooters, rng, terrain) => {
+  const redShooters = createSpatialIndex(shooters.filter((a) => a.team === "red" && a.health > 0));
+
+  return agents.map((agent) => {
+    if (agent.team !== "blue" || !agent.active) return agent;
+    let totalDamage = 0;
+    for (const redAgent of queryRadius(redShooters, agent.x, agent.y, MAX_ENGAGEMENT_RANGE)) {
+      if (canEngage(redAgent, agent, terrain) && rng() < SIMULATION_CONFIG.RED_HIT_CHANCE) {
+        totalDamage += hitDamage(redAgent, agent);
+      }
+    }
+    if (totalDamage === 0) return agent;
+    const health = Math.max(0, agent.health - afterProtection(totalDamage, agent, terrain));
+    return health > 0
+      ? { ...agent, health }
+      : { ...agent, health, active: false, vx: 0, vy: 0 };
+  });
+};
+
+/* --------------------------
+   applyStandardBlueFire
+   Every active blue agent that can engage a red agent hits it
+   for its hitDamage (no comms or ROE modifiers).
+-------------------------- */
+const applyStandardBlueFire = (agents, terrain) => {
+  const blueAgents = createSpatialIndex(agents.filter((a) => a.team === "blue" && a.active));
+  return agents.map((agent) => {
+    if (agent.team === "red" && agent.health > 0) {
+      let totalDamage = 0;
+      for (const blueAgent of queryRadius(blueAgents, agent.x, agent.y, MAX_ENGAGEMENT_RANGE)) {
+        if (canEngage(blueAgent, agent, terrain)) totalDamage += hitDamage(blueAgent, agent);
+      }
+      if (totalDamage > 0) {
+        const damage = afterProtection(totalDamage, agent, terrain);
+        return { ...agent, health: Math.max(0, agent.health - damage) };
+      }
+    }
+    return agent;
+  });
+};
+
+/* --------------------------
+   updateMultiTheater
+   Moves both forces, then resolves blue and red fire.
+-------------------------- */
+export const updateMultiTheater = (theaters, inputs, time, rng) => {
+  const { redStrategy, policy, logistics, tactics } = inputs;
+
+  return theaters.map((theater) => {
+    const strategy = inputs.theaterStrategies?.[theater.id] ?? inputs.strategy;
+    const redTargets = createSpatialIndex(
+      theater.agents.filter((a) => a.team === "red" && a.health > 0)
+    );
+
+    // Move blue agents
+    const movedBlue = theater.agents.map((agent) => {
+      if (agent.team === "blue" && agent.active) {
+        const nearest = nearestInIndex(redTargets, agent);
+        if (!nearest) return agent;
+
+        const behavior = getBlueBehavior(
+          agent,
+          nearest,
+          strategy,
+          time,
+          rng,
+          tactics,
+          policy.riskTolerance
+        );
+        const aggressionMod =
+          policy.roe === "defensive"
+            ? 0.5
+            : policy.roe === "aggressive"
+            ? 1.5
+            : 1;
+
+        const transportMod = logistics.transportCapacity / 100;
+        const { vx: newVx, vy: newVy, route } = steer(
+          agent,
+          behavior.vx * aggressionMod,
+          behavior.vy * aggressionMod,
+          theater,
+          nearest
+        );
+
+        return {
+          ...agent,
+          vx: newVx,
+          vy: newVy,
+          route,
+          ...moveAgent(agent, newVx * transportMod, newVy * transportMod, theater),
+        };
+      }
+      return agent;
+    });
+
+    // Move red agents
+    const updatedAgents = moveRedForce(movedBlue, theater, redStrategy, time, rng);
+
+    // Apply damage from blue to red agents
+    const blueAgents = createSpatialIndex(
+      updatedAgents.filter((a) => a.team === "blue" && a.active)
+    );
+    const damagedAgents = updatedAgents.map((agent) => {
+      if (agent.team === "red" && agent.health > 0) {
+        let totalDamage = 0;
+        for (const blueAgent of queryRadius(blueAgents, agent.x, agent.y, MAX_ENGAGEMENT_RANGE)) {
+          if (canEngage(blueAgent, agent, theater.terrain)) {
+            const hitChance = logistics.commsReliability / 100;
+            if (rng() < hitChance) {
+              let damage = hitDamage(blueAgent, agent);
+              if (policy.roe === "defensive") damage *= 0.5;
+              if (policy.roe === "aggressive") damage *= 1.5;
+              totalDamage += damage;
+            }
+          }
+        }
+        if (totalDamage > 0) {
+          const damage = afterProtection(totalDamage, agent, theater.terrain);
+          return { ...agent, health: Math.max(0, agent.health - damage) };
+        }
+      }
+      return agent;
+    });
+
+    // Apply damage from red to blue agents
+    const finalAgents = applyRedFire(damagedAgents, updatedAgents, rng, theater.terrain);
+    return { ...theater, agents: finalAgents };
+  });
+};
+
+/* --------------------------
+   updateStandardMode
+   Same logic as above but for one canvas. field holds the
+   canvas terrain and no-go zones (see navigation.js).
+-------------------------- */
+export const updateStandardMode = (agents, inputs, time, rng, field = {}) => {
+  const { strategy, redStrategy, policy, tactics } = inputs;
+  const redTargets = createSpatialIndex(agents.filter((a) => a.team === "red" && a.health > 0));
+
+  const movedBlue = agents.map((agent) => {
+    if (agent.team === "blue" && agent.active) {
+      const nearest = nearestInIndex(redTargets, agent);
+      if (!nearest) return agent;
+
+      const behavior = getBlueBehavior(
+        agent,
+        nearest,
+        strategy,
+        time,
+        rng,
+        tactics,
+        policy.riskTolerance
+      );
+      const { vx, vy, route } = steer(agent, behavior.vx, behavior.vy, field, nearest);
+      return { ...agent, vx, vy, route, ...moveAgent(agent, vx, vy, field) };
+    }
+    return agent;
+  });
+
+  const updatedAgents = moveRedForce(movedBlue, field, redStrategy, time, rng);
+
+  // Damage red, then blue agents
+  const damagedAgents = applyStandardBlueFire(updatedAgents, field.terrain);
+  return applyRedFire(damagedAgents, updatedAgents, rng, field.terrain);
+};
+
+/* --------------------------
+   updateHumanVsAIMode
+   Standard engagement where blue agents carry out the player's
+   orders and the red force is driven by the AI.
+-------------------------- */
+export const updateHumanVsAIMode = (agents, inputs, time, rng, field = {}) => {
+  const { redStrategy } = inputs;
+  const redTargets = agents.filter((a) => a.team === "red" && a.health > 0);
+
+  const movedBlue = agents.map((agent) => {
+    if (agent.team !== "blue" || !agent.active) return agent;
+    const behavior = getOrderBehavior(agent, redTargets);
+    const { order } = behavior;
+    const goal =
+      order.type === "attack" ? redTargets.find((a) => a.id === order.targetId) : order;
+    const { vx, vy, route } = steer(agent, behavior.vx, behavior.vy, field, goal);
+    return { ...agent, order, vx, vy, route, ...moveAgent(agent, vx, vy, field) };
+  });
+
+  const updatedAgents = moveRedForce(movedBlue, field, redStrategy, time, rng);
+
+  const damagedAgents = applyStandardBlueFire(updatedAgents, field.terrain);
+  return applyRedFire(damagedAgents, updatedAgents, rng, field.terrain);
+};
+
+/* --------------------------
+   issueOrders
+   Hands a player order to the selected blue agents
+   (Human vs AI mode). Takes effect on the next step.
+-------------------------- */
+export const issueOrders = (state, agentIds, order) => ({
+  ...state,
+  agents: assignOrders(state.agents, agentIds, order),
+});
+
+/* --------------------------
+   setTheaterPriority
+   Sets a theater's weight (0-1) in the commander's reserve
+   allocation (Multi-Theater mode).
+-------------------------- */
+export const setTheaterPriority = (state, theaterId, priority) => ({
+  ...state,
+  theaters: state.theaters.map((theater) =>
+    theater.id === theaterId ? { ...theater, priority } : theater
+  ),
+});
+
+/* --------------------------
+   updateFogOfWarMode
+   Standard engagement where each side only targets what its
+   sensors and shared belief map report. Blue sightings are
+   shared at commsReliability; with no contacts, blue advances
+   to find the enemy.
+-------------------------- */
+export const updateFogOfWarMode = (state, inputs, rng) => {
+  const { strategy, redStrategy, policy, logistics, tactics } = inputs;
+  const { agents, time, terrain } = state;
+  const blueAgents = agents.filter((a) => a.team === "blue" && a.active);
+  const redAgents = agents.filter((a) => a.team === "red" && a.health > 0);
+
+  const beliefs = {
+    blue: updateBeliefs(
+      state.beliefs.blue,
+      blueAgents,
+      redAgents,
+      logistics.commsReliability / 100,
+      time,
+      rng,
+      terrain
+    ),
+    red: updateBeliefs(
+      state.beliefs.red,
+      redAgents,
+      blueAgents,
+      SIMULATION_CONFIG.RED_COMMS_RELIABILITY / 100,
+      time,
+      rng,
+      terrain
+    ),
+  };
+
+  // Move blue agents toward known contacts
+  const movedBlue = agents.map((agent) => {
+    if (agent.team !== "blue" || !agent.active) return agent;
+    const contacts = getKnownContacts(agent, beliefs.blue, redAgents, terrain);
+    const nearest = findNearest(agent, contacts);
+    const advanceTo = { x: SIMULATION_CONFIG.GRID_SIZE * 0.85, y: agent.y };
+    const behavior = nearest
+      ? getBlueBehavior(agent, nearest, strategy, time, rng, tactics, policy.riskTolerance)
+      : moveToward(agent, advanceTo.x, advanceTo.y, STRATEGIES[0].speed / 2);
+    const { vx, vy, route } = steer(agent, behavior.vx, behavior.vy, state, nearest || advanceTo);
+    return { ...agent, vx, vy, route, ...moveAgent(agent, vx, vy, state) };
+  });
+
+  const movedBlueAgents = movedBlue.filter((a) => a.team === "blue" && a.active);
+  const updatedAgents = moveRedForce(movedBlue, state, redStrategy, time, rng, (agent) =>
+    getKnownContacts(agent, beliefs.red, movedBlueAgents, terrain)
+  );
+
+  const damagedAgents = applyStandardBlueFire(updatedAgents, terrain);
+  return {
+    ...state,
+    agents: applyRedFire(damagedAgents, updatedAgents, rng, terrain),
+    beliefs,
+  };
+};
+
+/* --------------------------
+   updateResourcesMode
+   Standard engagement where movement burns fuel and every shot
+   spends ammo. Depleted agents withdraw to the depot, and convoys
+   from the depot resupply agents in the field.
+-------------------------- */
+export const updateResourcesMode = (state, inputs, rng, dt) => {
+  const { strategy, redStrategy, policy, logistics, tactics } = inputs;
+  const { agents, depot, time, terrain } = state;
+  const withdrawSpeed = STRATEGIES[0].speed;
+  const redTargets = createSpatialIndex(agents.filter((a) => a.team === "red" && a.health > 0));
+
+  // Move blue agents, burning fuel
+  const movedBlue = agents.map((agent) => {
+    if (agent.team !== "blue" || !agent.active) return agent;
+
+    const withdrawing = shouldWithdraw(agent);
+    let behavior;
+    let goal = depot;
+    if (withdrawing) {
+      behavior = moveToward(agent, depot.x, depot.y, withdrawSpeed);
+    } else {
+      goal = nearestInIndex(redTargets, agent);
+      behavior = getBlueBehavior(agent, goal, strategy, time, rng, tactics, policy.riskTolerance);
+    }
+
+    const steered = steer(agent, behavior.vx, behavior.vy, state, goal);
+    const { vx, vy, fuel } = spendFuel(agent, steered.vx, steered.vy);
+    return {
+      ...agent,
+      withdrawing,
+      fuel,
+      vx,
+      vy,
+      route: steered.route,
+      ...moveAgent(agent, vx, vy, state),
+    };
+  });
+
+  const updatedAgents = moveRedForce(movedBlue, state, redStrategy, time, rng);
+
+  // Damage red agents; each hit costs the shooter ammo
+  const ammoLeft = new Map(
+    updatedAgents.filter((a) => a.team === "blue").map((a) => [a.id, a.ammo])
+  );
+  const blueAgents = createSpatialIndex(
+    updatedAgents.filter((a) => a.team === "blue" && a.active && !a.withdrawing)
+  );
+  const damagedRed = updatedAgents.map((agent) => {
+    if (agent.team === "red" && agent.health > 0) {
+      let totalDamage = 0;
+      for (const blueAgent of queryRadius(blueAgents, agent.x, agent.y, MAX_ENGAGEMENT_RANGE)) {
+        const ammo = ammoLeft.get(blueAgent.id);
+        if (canEngage(blueAgent, agent, terrain) && ammo >= SIMULATION_CONFIG.AMMO_PER_SHOT) {
+          totalDamage += hitDamage(blueAgent, agent);
+          ammoLeft.set(blueAgent.id, ammo - SIMULATION_CONFIG.AMMO_PER_SHOT);
+        }
+      }
+      if (totalDamage > 0) {
+        const damage = afterProtection(totalDamage, agent, terrain);
+        return { ...agent, health: Math.max(0, agent.health - damage) };
+      }
+    }
+    return agent;
+  });
+  const damagedAgents = damagedRed.map((agent) =>
+    agent.team === "blue" ? { ...agent, ammo: ammoLeft.get(agent.id) } : agent
+  );
+
+  const firedAgents = applyRedFire(damagedAgents, updatedAgents, rng, terrain);
+
+  // Resupply at the depot and from convoys
+  const depotResult = resupplyAtDepot(firedAgents, depot, logistics);
+  const convoyResult = updateConvoys(state, depotResult.agents, logistics, dt);
+
+  return {
+    ...convoyResult.supply,
+    agents: convoyResult.agents,
+    suppliesDelivered:
+      state.suppliesDelivered + depotResult.delivered + convoyResult.delivered,
+  };
+};
+
+/* --------------------------
+   updateCampaignMode
+   Fights the current phase with the Resources mode rules. When
+   the phase resolves, its snapshot is stored in theaters, the
+   scoreboard is updated, and survivors move on to the next
+   phase against a fresh red force.
+-------------------------- */
+export const updateCampaignMode = (state, inputs, rng, dt) => {
+  const { campaign } = state;
+  if (campaign.status !== "active") return state;
+
+  const next = updateResourcesMode(state, inputs, rng, dt);
+  const phaseTime = campaign.phaseTime + dt;
+  const outcome = resolvePhase(next.agents, phaseTime);
+  if (!outcome) return { ...next, campaign: { ...campaign, phaseTime } };
+
+  const nextCampaign = recordPhase(campaign, outcome, next.agents);
+  const theaters = state.theaters.map((theater) =>
+    theater.id === campaign.phaseIndex
+      ? { ...theater, agents: next.agents, outcome }
+      : theater
+  );
+
+  if (nextCampaign.status !== "active") {
+    return { ...next, theaters, campaign: nextCampaign };
+  }
+
+  const blueForce = carryForward(next.agents, inputs.logistics, rng);
+  const redForce = spawnCampaignRed(nextCampaign.phaseIndex, rng);
+  return {
+    ...next,
+    theaters,
+    campaign: nextCampaign,
+    agents: [...blueForce, ...redForce],
+    terrain: clearTerrain(next.terrain, [...blueForce, ...redForce]),
+    convoys: [],
+    supplyTimer: 0,
+  };
+};
+
+/* --------------------------
+   Helper: withBreakdowns
+   Rolls maintenance breakdowns (maintenance.js) for the blue
+   force ahead of the tick.
+-------------------------- */
+const withBreakdowns = (state, logistics, dt, rng) => {
+  const { maintenanceLevel } = logistics;
+  if (state.mode === "multi-theater") {
+    return {
+      ...state,
+      theaters: state.theaters.map((theater) => ({
+        ...theater,
+        agents: updateBreakdowns(theater.agents, maintenanceLevel, dt, rng),
+      })),
+    };
+  }
+  return { ...state, agents: updateBreakdowns(state.agents, maintenanceLevel, dt, rng) };
+};
+
+/* --------------------------
+   Helper: advance
+   One tick of the mode's rules after breakdowns, with the
+   clock moved on by dt.
+-------------------------- */
+const advance = (current, tickInputs, rng, dt) => {
+  const time = current.time + dt;
+  if (current.mode === "multi-theater") {
+    const fought = updateMultiTheater(current.theaters, tickInputs, current.time, rng);
+    const { theaters, reserves } = allocateReserves(fought, current.reserves, dt, rng);
+    return { ...current, time, theaters, reserves };
+  }
+  if (current.mode === "resources") {
+    return { ...updateResourcesMode(current, tickInputs, rng, dt), time };
+  }
+  if (current.mode === "campaign") {
+    return { ...updateCampaignMode(current, tickInputs, rng, dt), time };
+  }
+  if (current.mode === "fog-of-war") {
+    return { ...updateFogOfWarMode(current, tickInputs, rng), time };
+  }
+  if (current.mode === "human-vs-ai") {
+    const agents = updateHumanVsAIMode(current.agents, tickInputs, current.time, rng, current);
+    return { ...current, time, agents };
+  }
+  const agents = updateStandardMode(current.agents, tickInputs, current.time, rng, current);
+  return { ...current, time, agents };
+};
+
+/* --------------------------
+   step
+   Advances the simulation by one tick of dt seconds.
+   inputs: { strategy, policy, logistics, redStrategy?,
+             theaterStrategies?, tactics?, victory? }
+   redStrategy defaults to the one drawn at initialization;
+   theaterStrategies[theaterId] overrides strategy per theater;
+   tactics defaults to DEFAULT_TACTICS. Blue breakdowns are
+   rolled first, from logistics.maintenanceLevel.
+   victory holds the win/loss conditions (victory.js); without
+   it the engagement is never decided. Once it is decided the
+   engagement is over and step returns the state unchanged.
+-------------------------- */
+export const step = (state, inputs, dt) => {
+  if (isDecided(state.engagement)) return state;
+  const rng = restoreRng(state.rngState);
+  const tickInputs = {
+    redStrategy: state.redStrategy,
+    ...inputs,
+    tactics: inputs.tactics ?? DEFAULT_TACTICS,
+  };
+  const current = withBreakdowns(state, tickInputs.logistics, dt, rng);
+  const next = advance(current, tickInputs, rng, dt);
+  const engagement = inputs.victory
+    ? updateEngagement(next.engagement, next, inputs.victory, dt)
+    : next.engagement;
+  return { ...next, engagement, rngState: rng.getState() };
+};
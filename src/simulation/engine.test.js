@@ -0,0 +1,29 @@
+/* ============================================================
+   Tests: engine initialization
+   - The Force Level policy setting commits that share of each
+     battle's blue units.
+============================================================ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createInitialState, getAllAgents } from "./engine.js";
+
+const blueCount = (agents) => agents.filter((a) => a.team === "blue").length;
+
+test("force level commits that share of the blue force", () => {
+  const full = createInitialState("standard", 3);
+  const half = createInitialState("standard", 3, null, 50);
+  assert.equal(blueCount(half.agents), Math.round(blueCount(full.agents) / 2));
+  assert.equal(
+    half.agents.filter((a) => a.team === "red").length,
+    full.agents.filter((a) => a.team === "red").length
+  );
+});
+
+test("force level applies per theater", () => {
+  const half = createInitialState("multi-theater", 3, null, 50);
+  const full = createInitialState("multi-theater", 3);
+  half.theaters.forEach((theater, i) => {
+    assert.equal(blueCount(theater.agents), Math.round(blueCount(full.theaters[i].agents) / 2));
+  });
+  assert.ok(blueCount(getAllAgents(half)) < blueCount(getAllAgents(full)));
+});
@@ -0,0 +1,129 @@
+/* ============================================================
+   COA Evaluation (Monte Carlo rollouts)
+   - Scores a course of action by playing it forward from the
+     current state N times with independent random streams.
+   - Each rollout runs until red is neutralized, blue is wiped
+     out, or COA_HORIZON simulated seconds pass.
+   - Results are reported as means with 95% confidence intervals.
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+import { deriveSeed } from "./random.js";
+import { getAllAgents, step } from "./engine.js";
+
+/* --------------------------
+   Helper: battleAgents
+   Agents of the battle being scored. In Campaign mode a resolved
+   phase swaps in the next phase's forces, so its stored snapshot
+   is read instead.
+-------------------------- */
+const battleAgents = (state, phaseIndex) =>
+  phaseIndex !== null && state.theaters[phaseIndex].outcome
+    ? state.theaters[phaseIndex].agents
+    : getAllAgents(state);
+
+const countRed = (agents) => agents.filter((a) => a.team === "red" && a.health > 0).length;
+const countBlue = (agents) => agents.filter((a) => a.team === "blue" && a.active).length;
+// Losses are counted directly: reserve moves change the active count too
+const countLost = (agents) => agents.filter((a) => a.team === "blue" && !a.active).length;
+
+/* --------------------------
+   summarize
+   Mean and 95% confidence half-width (normal approximation)
+   of a list of samples.
+-------------------------- */
+export const summarize = (samples) => {
+  const n = samples.length;
+  if (n === 0) return { mean: null, ci: null };
+  const mean = samples.reduce((sum, v) => sum + v, 0) / n;
+  if (n === 1) return { mean, ci: 0 };
+  const variance = samples.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1);
+  return { mean, ci: (1.96 * Math.sqrt(variance)) / Math.sqrt(n) };
+};
+
+/* --------------------------
+   scoreOutcome
+   0-100: 60 for the share of red neutralized, 30 for the share
+   of blue surviving, 10 for reaching the objective early.
+-------------------------- */
+export const scoreOutcome = (outcome, start) => {
+  const neutralizedShare = start.red > 0 ? outcome.targetsNeutralized / start.red : 1;
+  const survivalShare = start.blue > 0 ? 1 - outcome.blueLosses / start.blue : 0;
+  const speedShare =
+    outcome.timeToObjective === null
+      ? 0
+      : 1 - outcome.timeToObjective / SIMULATION_CONFIG.COA_HORIZON;
+  return 60 * neutralizedShare + 30 * survivalShare + 10 * speedShare;
+};
+
+/* --------------------------
+   rollout
+   Plays a COA forward from state with a fresh random stream
+   for up to `horizon` simulated seconds.
+   inputsAt(elapsed) gives the engine inputs for each tick, so
+   plans can change strategy mid-rollout. Returns targets
+   neutralized, blue losses, and the time the objective was
+   reached (null if it was not).
+-------------------------- */
+export const rollout = (state, inputsAt, seed, horizon = SIMULATION_CONFIG.COA_HORIZON) => {
+  const phaseIndex = state.campaign ? state.campaign.phaseIndex : null;
+  const startAgents = getAllAgents(state);
+  const startRed = countRed(startAgents);
+  const startLost = countLost(startAgents);
+
+  let current = { ...state, rngState: seed };
+  let elapsed = 0;
+  let agents = startAgents;
+  while (elapsed < horizon) {
+    current = step(current, inputsAt(elapsed), SIMULATION_CONFIG.COA_ROLLOUT_DT);
+    elapsed += SIMULATION_CONFIG.COA_ROLLOUT_DT;
+    agents = battleAgents(current, phaseIndex);
+    if (countRed(agents) === 0 || countBlue(agents) === 0) break;
+  }
+
+  const redLeft = countRed(agents);
+  return {
+    targetsNeutralized: startRed - redLeft,
+    blueLosses: countLost(agents) - startLost,
+    timeToObjective: redLeft === 0 ? elapsed : null,
+  };
+};
+
+/* --------------------------
+   runRollouts
+   Runs `rollouts` forward simulations and summarizes them.
+   seed sets the rollout random streams.
+-------------------------- */
+export const runRollouts = (state, inputsAt, seed, rollouts) => {
+  const startAgents = getAllAgents(state);
+  const start = { red: countRed(startAgents), blue: countBlue(startAgents) };
+
+  const outcomes = [];
+  for (let i = 0; i < rollouts; i++) {
+    outcomes.push(rollout(state, inputsAt, deriveSeed(seed, `rollout-${i}`)));
+  }
+
+  const reached = outcomes.filter((o) => o.timeToObjective !== null);
+  return {
+    rollouts,
+    score: summarize(outcomes.map((o) => scoreOutcome(o, start))),
+    targetsNeutralized: summarize(outcomes.map((o) => o.targetsNeutralized)),
+    blueLosses: summarize(outcomes.map((o) => o.blueLosses)),
+    timeToObjective: summarize(reached.map((o) => o.timeToObjective)),
+    successRate: reached.length / rollouts,
+  };
+};
+
+/* --------------------------
+   evaluateCOA
+   Scores one fixed strategy held for the whole rollout.
+   inputs: { strategy, policy, logistics }
+-------------------------- */
+export const evaluateCOA = (
+  state,
+  inputs,
+  seed,
+  rollouts = SIMULATION_CONFIG.COA_ROLLOUTS
+) => ({
+  strategy: inputs.strategy,
+  ...runRollouts(state, () => inputs, seed, rollouts),
+});
@@ -0,0 +1,105 @@
+/* ============================================================
+   Run History (chart time series)
+   - Samples force strength per theater, success probability,
+     cumulative damage and the spread of top COA scores every
+     HISTORY_INTERVAL simulated seconds, for the charts panel.
+   - Damage is accumulated every tick from health lost since the
+     previous state, so it survives units leaving the field
+     (released reserves, campaign phase changes).
+   - history: { samples, damage: { blue, red }, health, next }
+     Samples are flat rows for recharts:
+       { time, blue0, red0, ..., successProbability,
+         blueDamage, redDamage, coaBest, coaMedian, coaLowest }
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+import { getAllAgents } from "./engine.js";
+
+/* --------------------------
+   historyBattles
+   Names of the battles charted for a state, in sample key order
+   (blue0/red0 is the first).
+-------------------------- */
+export const historyBattles = (state) =>
+  state.mode === "multi-theater" ? state.theaters.map((t) => t.name) : ["Battlespace"];
+
+const battleAgents = (state) =>
+  state.mode === "multi-theater" ? state.theaters.map((t) => t.agents) : [state.agents];
+
+const healthById = (state) => {
+  const health = {};
+  getAllAgents(state).forEach((agent) => {
+    health[agent.id] = agent.health;
+  });
+  return health;
+};
+
+/* --------------------------
+   createHistory
+   Empty history starting from state.
+-------------------------- */
+export const createHistory = (state) => ({
+  samples: [],
+  damage: { blue: 0, red: 0 },
+  health: healthById(state),
+  next: state.time,
+});
+
+/* --------------------------
+   Helper: scoreSpread
+   Best, median and lowest of the kept COA scores (null when
+   none have been scored yet).
+-------------------------- */
+const scoreSpread = (scores) => {
+  if (scores.length === 0) return { coaBest: null, coaMedian: null, coaLowest: null };
+  const sorted = [...scores].sort((a, b) => b - a);
+  return {
+    coaBest: sorted[0],
+    coaMedian: sorted[Math.floor(sorted.length / 2)],
+    coaLowest: sorted[sorted.length - 1],
+  };
+};
+
+/* --------------------------
+   recordHistory
+   Folds one state into the history and, when a sample is due,
+   appends one. Returns a new history; `samples` keeps its
+   identity unless a sample was added.
+   metrics: { successProbability, coaScores }
+   Past HISTORY_MAX_SAMPLES every other sample is dropped (the
+   first is kept), so long runs stay cheap to draw.
+-------------------------- */
+export const recordHistory = (history, state, metrics) => {
+  const damage = { ...history.damage };
+  const health = healthById(state);
+  getAllAgents(state).forEach((agent) => {
+    const lost = (history.health[agent.id] ?? agent.health) - agent.health;
+    if (lost > 0) damage[agent.team] += lost;
+  });
+
+  const interval = SIMULATION_CONFIG.HISTORY_INTERVAL;
+  if (state.time + 1e-6 < history.next) return { ...history, damage, health };
+
+  const sample = {
+    time: Number(state.time.toFixed(1)),
+    successProbability: Math.round(metrics.successProbability),
+    blueDamage: Math.round(damage.blue),
+    redDamage: Math.round(damage.red),
+    ...scoreSpread(metrics.coaScores),
+  };
+  battleAgents(state).forEach((agents, index) => {
+    sample[`blue${index}`] = agents.filter((a) => a.team === "blue" && a.active).length;
+    sample[`red${index}`] = agents.filter((a) => a.team === "red" && a.health > 0).length;
+  });
+
+  const samples = [...history.samples, sample];
+  return {
+    samples:
+      samples.length > SIMULATION_CONFIG.HISTORY_MAX_SAMPLES
+        ? samples.filter((_, index) => index % 2 === 0)
+        : samples,
+    damage,
+    health,
+    // Next multiple of the interval, so float drift in time can't skip one
+    next: (Math.floor(state.time / interval + 1e-6) + 1) * interval,
+  };
+};
@@ -0,0 +1,189 @@
+/* ============================================================
+   Logistics Rules (Resources mode)
+   - Fuel burn, ammo-driven withdrawal, depot resupply, and
+     convoys dispatched from a rear depot.
+   - supplyRate sets how often convoys leave and how fast the
+     depot refills agents; transportCapacity sets convoy load.
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+import { moveToward } from "./behavior.js";
+
+/* --------------------------
+   createDepot
+   Rear depot on the blue side of the battlespace.
+-------------------------- */
+export const createDepot = () => ({ x: 15, y: SIMULATION_CONFIG.GRID_SIZE / 2 });
+
+/* --------------------------
+   supplyNeed
+   Total fuel + ammo an agent is missing.
+-------------------------- */
+export const supplyNeed = (agent) => 200 - agent.fuel - agent.ammo;
+
+/* --------------------------
+   shouldWithdraw
+   Low fuel or empty magazines send an agent back to the depot;
+   it stays there until topped up to RESUPPLIED_LEVEL.
+-------------------------- */
+export const shouldWithdraw = (agent) => {
+  if (agent.fuel < SIMULATION_CONFIG.LOW_FUEL || agent.ammo < SIMULATION_CONFIG.AMMO_PER_SHOT) {
+    return true;
+  }
+  if (agent.withdrawing) {
+    return (
+      agent.fuel < SIMULATION_CONFIG.RESUPPLIED_LEVEL ||
+      agent.ammo < SIMULATION_CONFIG.RESUPPLIED_LEVEL
+    );
+  }
+  return false;
+};
+
+/* --------------------------
+   spendFuel
+   Burns fuel for a move; an agent without enough fuel only
+   covers the distance it can afford.
+-------------------------- */
+export const spendFuel = (agent, vx, vy) => {
+  const cost = Math.hypot(vx, vy) * SIMULATION_CONFIG.FUEL_PER_DISTANCE;
+  if (cost <= agent.fuel) return { vx, vy, fuel: agent.fuel - cost };
+  const scale = cost > 0 ? agent.fuel / cost : 0;
+  return { vx: vx * scale, vy: vy * scale, fuel: 0 };
+};
+
+/* --------------------------
+   topUp
+   Gives up to `amount` supply to an agent, split by what it is
+   missing. Returns the updated agent and the amount used.
+-------------------------- */
+export const topUp = (agent, amount) => {
+  const need = supplyNeed(agent);
+  if (need <= 0 || amount <= 0) return { agent, used: 0 };
+  const used = Math.min(need, amount);
+  const fuel = agent.fuel + ((100 - agent.fuel) / need) * used;
+  const ammo = agent.ammo + ((100 - agent.ammo) / need) * used;
+  return {
+    agent: { ...agent, fuel: Math.min(100, fuel), ammo: Math.min(100, ammo) },
+    used,
+  };
+};
+
+/* --------------------------
+   resupplyAtDepot
+   Agents inside DEPOT_RADIUS are refilled each tick.
+-------------------------- */
+export const resupplyAtDepot = (agents, depot, logistics) => {
+  const rate = SIMULATION_CONFIG.DEPOT_RESUPPLY_RATE * (logistics.supplyRate / 100);
+  let delivered = 0;
+  const updated = agents.map((agent) => {
+    if (agent.team !== "blue" || !agent.active) return agent;
+    if (Math.hypot(agent.x - depot.x, agent.y - depot.y) > SIMULATION_CONFIG.DEPOT_RADIUS) {
+      return agent;
+    }
+    const result = topUp(agent, rate * 2);
+    delivered += result.used;
+    return result.agent;
+  });
+  return { agents: updated, delivered };
+};
+
+/* --------------------------
+   updateConvoys
+   Dispatches a convoy to the neediest unserved agent every
+   CONVOY_INTERVAL / supplyRate seconds, moves convoys, and
+   unloads them on arrival. Convoys return to the depot empty.
+   supply: { depot, convoys, supplyTimer, convoyCount }
+-------------------------- */
+export const updateConvoys = (supply, agents, logistics, dt) => {
+  const { depot } = supply;
+  let { convoys, convoyCount } = supply;
+  let updatedAgents = agents;
+  let delivered = 0;
+
+  // Dispatch
+  const interval =
+    logistics.supplyRate > 0
+      ? SIMULATION_CONFIG.CONVOY_INTERVAL / (logistics.supplyRate / 100)
+      : Infinity;
+  let supplyTimer = Math.min(supply.supplyTimer + dt, interval);
+  if (
+    supplyTimer >= interval &&
+    logistics.transportCapacity > 0 &&
+    convoys.length < SIMULATION_CONFIG.MAX_CONVOYS
+  ) {
+    const served = new Set(convoys.map((c) => c.targetId));
+    const candidates = agents.filter(
+      (a) =>
+        a.team === "blue" &&
+        a.active &&
+        !served.has(a.id) &&
+        Math.hypot(a.x - depot.x, a.y - depot.y) > SIMULATION_CONFIG.DEPOT_RADIUS &&
+        supplyNeed(a) >= 2 * (100 - SIMULATION_CONFIG.RESUPPLIED_LEVEL)
+    );
+    if (candidates.length > 0) {
+      const target = candidates.reduce((a, b) => (supplyNeed(b) > supplyNeed(a) ? b : a));
+      convoys = [
+        ...convoys,
+        {
+          id: `c${convoyCount}`,
+          x: depot.x,
+          y: depot.y,
+          targetId: target.id,
+          load: SIMULATION_CONFIG.CONVOY_LOAD * (logistics.transportCapacity / 100),
+          status: "outbound",
+        },
+      ];
+      convoyCount += 1;
+      supplyTimer = 0;
+    }
+  }
+
+  // Move and unload
+  const nextConvoys = [];
+  for (const convoy of convoys) {
+    if (convoy.status === "returning") {
+      const move = moveToward(convoy, depot.x, depot.y, SIMULATION_CONFIG.CONVOY_SPEED);
+      if (move.vx === 0 && move.vy === 0) continue; // back at depot
+      nextConvoys.push({ ...convoy, x: convoy.x + move.vx, y: convoy.y + move.vy });
+      continue;
+    }
+
+    const target = updatedAgents.find((a) => a.id === convoy.targetId && a.active);
+    if (!target) {
+      nextConvoys.push({ ...convoy, status: "returning" });
+      continue;
+    }
+
+    const move = moveToward(convoy, target.x, target.y, SIMULATION_CONFIG.CONVOY_SPEED);
+    const moved = { ...convoy, x: convoy.x + move.vx, y: convoy.y + move.vy };
+    if (Math.hypot(moved.x - target.x, moved.y - target.y) > SIMULATION_CONFIG.RESUPPLY_RADIUS / 2) {
+      nextConvoys.push(moved);
+      continue;
+    }
+
+    // Unload to every blue agent nearby, neediest first
+    let load = moved.load;
+    const recipients = updatedAgents
+      .filter(
+        (a) =>
+          a.team === "blue" &&
+          a.active &&
+          Math.hypot(a.x - moved.x, a.y - moved.y) <= SIMULATION_CONFIG.RESUPPLY_RADIUS
+      )
+      .sort((a, b) => supplyNeed(b) - supplyNeed(a));
+    const resupplied = new Map();
+    for (const recipient of recipients) {
+      const result = topUp(recipient, load);
+      load -= result.used;
+      delivered += result.used;
+      resupplied.set(recipient.id, result.agent);
+    }
+    updatedAgents = updatedAgents.map((agent) => resupplied.get(agent.id) || agent);
+    nextConvoys.push({ ...moved, load, status: "returning" });
+  }
+
+  return {
+    agents: updatedAgents,
+    supply: { ...supply, convoys: nextConvoys, supplyTimer, convoyCount },
+    delivered,
+  };
+};
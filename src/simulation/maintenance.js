@@ -0,0 +1,33 @@
+/* ============================================================
+   Maintenance and Breakdowns
+   - Below 100% maintenanceLevel, working blue units break down
+     at random: BREAKDOWN_RATE per second at 0%, scaling
+     linearly to none at 100%.
+   - A broken-down unit is out of action for
+     BREAKDOWN_REPAIR_TIME seconds: it neither moves nor fires,
+     but can still be hit. It is not a loss.
+   - agent.breakdown: seconds of repair left (absent or 0 when
+     working)
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+
+export const isBrokenDown = (agent) => agent.breakdown > 0;
+
+/* --------------------------
+   updateBreakdowns
+   Advances repairs and rolls new breakdowns for active blue
+   agents. Draws nothing from rng at 100% maintenance, so
+   well-maintained runs replay exactly as before.
+-------------------------- */
+export const updateBreakdowns = (agents, maintenanceLevel, dt, rng) => {
+  const chance = SIMULATION_CONFIG.BREAKDOWN_RATE * (1 - maintenanceLevel / 100) * dt;
+  if (chance <= 0 && !agents.some(isBrokenDown)) return agents;
+  return agents.map((agent) => {
+    if (agent.team !== "blue" || !agent.active) return agent;
+    if (isBrokenDown(agent)) return { ...agent, breakdown: Math.max(0, agent.breakdown - dt) };
+    if (chance > 0 && rng() < chance) {
+      return { ...agent, breakdown: SIMULATION_CONFIG.BREAKDOWN_REPAIR_TIME, vx: 0, vy: 0 };
+    }
+    return agent;
+  });
+};
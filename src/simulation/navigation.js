@@ -0,0 +1,249 @@
+/* ============================================================
+   Navigation
+   - Turns a behavior's velocity into movement over terrain:
+     obstacles are impassable for both sides, no-go zones for
+     blue (zones.js), and the ground underfoot and the unit type
+     (units.js) scale speed. Air units fly over terrain.
+   - When the way ahead is blocked, the agent routes around it
+     with A* over the terrain cells toward its goal (usually the
+     target its strategy is closing on).
+   - field: the theater, or the single-canvas state, holding
+     { terrain, zones }.
+============================================================ */
+import { SIMULATION_CONFIG, TERRAIN_TYPES } from "./config.js";
+import { clampToGrid } from "./behavior.js";
+import { cellIndex, isPassable, speedFactorAt } from "./terrain.js";
+import { isAir, unitType } from "./units.js";
+import { isBrokenDown } from "./maintenance.js";
+import { isInZone } from "./zones.js";
+
+const SQRT2 = Math.SQRT2;
+
+/* --------------------------
+   Helper: blockerFor
+   (x, y) -> true where this agent may not go. An agent already
+   inside an obstacle or zone is free to leave it; air units
+   ignore obstacles.
+-------------------------- */
+const blockerFor = (agent, field) => {
+  const terrain = isAir(agent) ? null : field.terrain || null;
+  const zones =
+    agent.team === "blue"
+      ? (field.zones || []).filter((zone) => !isInZone(agent.x, agent.y, zone))
+      : [];
+  const walls = terrain !== null && isPassable(terrain, agent.x, agent.y) ? terrain : null;
+  if (walls === null && zones.length === 0) return () => false;
+  return (x, y) =>
+    (walls !== null && !isPassable(walls, x, y)) || zones.some((zone) => isInZone(x, y, zone));
+};
+
+/* --------------------------
+   Helper: isClear
+   True when the straight segment avoids blocked ground
+   (sampled every quarter cell).
+-------------------------- */
+const isClear = (from, to, blocked) => {
+  const distance = Math.hypot(to.x - from.x, to.y - from.y);
+  const samples = Math.ceil(distance / (SIMULATION_CONFIG.TERRAIN_CELL / 4));
+  for (let i = 1; i <= samples; i++) {
+    const t = i / samples;
+    if (blocked(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t)) return false;
+  }
+  return true;
+};
+
+/* --------------------------
+   Helper: Min-heap keyed on f-score, for A*
+-------------------------- */
+const heapPush = (heap, node) => {
+  heap.push(node);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].f <= heap[i].f) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+};
+
+const heapPop = (heap) => {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+      if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+};
+
+/* --------------------------
+   findPath
+   A* over the terrain cells (8-way, no corner cutting), with
+   slow ground costing more. Returns cell centres from start to
+   goal, or null when the goal can't be reached. The start and
+   goal cells are always treated as open.
+-------------------------- */
+export const findPath = (terrain, from, to, blocked) => {
+  const { cols, rows, cell } = terrain;
+  const cellOf = (p) =>
+    Math.min(rows - 1, Math.max(0, Math.floor(p.y / cell))) * cols +
+    Math.min(cols - 1, Math.max(0, Math.floor(p.x / cell)));
+  const startIndex = cellOf(from);
+  const goalIndex = cellOf(to);
+  const goalCol = goalIndex % cols;
+  const goalRow = Math.floor(goalIndex / cols);
+  const centre = (index) => ({
+    x: ((index % cols) + 0.5) * cell,
+    y: (Math.floor(index / cols) + 0.5) * cell,
+  });
+
+  // Per-cell scratch: passability (0 unknown, 1 open, 2 blocked),
+  // path cost so far, parent, and whether the cell is settled
+  const size = cols * rows;
+  const passable = new Uint8Array(size);
+  const cost = new Float64Array(size).fill(Infinity);
+  const parent = new Int32Array(size).fill(-1);
+  const closed = new Uint8Array(size);
+  const open = (index) => {
+    if (passable[index] === 0) {
+      const { x, y } = centre(index);
+      passable[index] =
+        index === startIndex || index === goalIndex || !blocked(x, y) ? 1 : 2;
+    }
+    return passable[index] === 1;
+  };
+
+  cost[startIndex] = 0;
+  const heap = [];
+  heapPush(heap, { index: startIndex, f: 0 });
+
+  while (heap.length > 0) {
+    const { index } = heapPop(heap);
+    if (index === goalIndex) {
+      const path = [];
+      for (let current = index; current !== -1; current = parent[current]) {
+        path.unshift(centre(current));
+      }
+      return path;
+    }
+    if (closed[index]) continue;
+    closed[index] = 1;
+
+    const col = index % cols;
+    const row = Math.floor(index / cols);
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if (dr === 0 && dc === 0) continue;
+        const c = col + dc;
+        const r = row + dr;
+        if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+        const next = r * cols + c;
+        if (closed[next] || !open(next)) continue;
+        const diagonal = dr !== 0 && dc !== 0;
+        if (diagonal && (!open(row * cols + c) || !open(r * cols + col))) continue;
+
+        const slowdown = 1 / Math.max(0.1, TERRAIN_TYPES[terrain.types[next]].speed);
+        const g = cost[index] + (diagonal ? SQRT2 : 1) * slowdown;
+        if (g >= cost[next]) continue;
+        cost[next] = g;
+        parent[next] = index;
+        heapPush(heap, { index: next, f: g + Math.hypot(c - goalCol, r - goalRow) });
+      }
+    }
+  }
+  return null;
+};
+
+/* --------------------------
+   Helper: nextWaypoint
+   Furthest of the first few path points the agent can walk to
+   in a straight line.
+-------------------------- */
+const nextWaypoint = (agent, path, blocked) => {
+  for (let i = Math.min(path.length - 1, 4); i >= 1; i--) {
+    if (isClear(agent, path[i], blocked)) return path[i];
+  }
+  return path[1] ?? null;
+};
+
+/* --------------------------
+   Helper: followRoute
+   The agent's stored route while it still leads to the goal's
+   cell and passes through the agent's cell; otherwise a fresh
+   A* route. Returns { goal: cell, path } or null.
+-------------------------- */
+const followRoute = (agent, terrain, target, blocked) => {
+  const goalCell = cellIndex(terrain, target.x, target.y);
+  const agentCell = cellIndex(terrain, agent.x, agent.y);
+  if (agent.route && agent.route.goal === goalCell) {
+    const index = agent.route.path.findIndex((p) => cellIndex(terrain, p.x, p.y) === agentCell);
+    if (index >= 0) return { goal: goalCell, path: agent.route.path.slice(index) };
+  }
+  const path = findPath(terrain, agent, target, blocked);
+  return path && { goal: goalCell, path };
+};
+
+/* --------------------------
+   steer
+   Velocity after routing, ground speed and the unit type's
+   speed. The behavior's heading is kept while the next
+   ROUTE_LOOKAHEAD pixels are clear; otherwise the agent follows
+   an A* route toward goal (or toward where it was heading, when
+   moving away from goal). Broken-down units (maintenance.js)
+   stay put.
+   Returns { vx, vy, route }; store route on the agent so the
+   next tick can reuse it.
+-------------------------- */
+export const steer = (agent, vx, vy, field, goal = null) => {
+  const speed = Math.hypot(vx, vy);
+  if (speed === 0 || isBrokenDown(agent)) return { vx: 0, vy: 0, route: null };
+  const terrain = isAir(agent) ? null : field.terrain || null;
+  const blocked = blockerFor(agent, field);
+  let dirX = vx / speed;
+  let dirY = vy / speed;
+  let route = null;
+
+  const ahead = {
+    x: clampToGrid(agent.x + dirX * SIMULATION_CONFIG.ROUTE_LOOKAHEAD),
+    y: clampToGrid(agent.y + dirY * SIMULATION_CONFIG.ROUTE_LOOKAHEAD),
+  };
+  if (terrain && !isClear(agent, ahead, blocked)) {
+    const towardGoal = goal && (goal.x - agent.x) * dirX + (goal.y - agent.y) * dirY > 0;
+    route = followRoute(agent, terrain, towardGoal ? goal : ahead, blocked);
+    const waypoint = route && nextWaypoint(agent, route.path, blocked);
+    const distance = waypoint ? Math.hypot(waypoint.x - agent.x, waypoint.y - agent.y) : 0;
+    if (distance > 0) {
+      dirX = (waypoint.x - agent.x) / distance;
+      dirY = (waypoint.y - agent.y) / distance;
+    }
+  }
+
+  const scale = (speedFactorAt(terrain, agent.x, agent.y) || 1) * unitType(agent).speed;
+  return { vx: dirX * speed * scale, vy: dirY * speed * scale, route };
+};
+
+/* --------------------------
+   moveAgent
+   New position after moving by (dx, dy): clamped to the grid
+   and kept off blocked ground, sliding along its edge.
+-------------------------- */
+export const moveAgent = (agent, dx, dy, field) => {
+  const blocked = blockerFor(agent, field);
+  const x = clampToGrid(agent.x + dx);
+  const y = clampToGrid(agent.y + dy);
+
+  if (!blocked(x, y)) return { x, y };
+  if (!blocked(x, agent.y)) return { x, y: agent.y };
+  if (!blocked(agent.x, y)) return { x: agent.x, y };
+  return { x: agent.x, y: agent.y };
+};
@@ -0,0 +1,281 @@
+/* ============================================================
+   COA Optimizer (cross-entropy search)
+   - Searches plans instead of picking fixed strategies at random:
+     a strategy per theater, an optional follow-up strategy and
+     when to switch to it, and the tactics (flank angle, speed,
+     hit-and-run standoff).
+   - The search keeps a categorical distribution per strategy
+     slot and a Gaussian per continuous parameter. Each
+     generation samples candidates, scores them by rollouts, and
+     refits the distributions to the elite candidates.
+   - A plan is a plain object:
+       { strategies: [approach per theater], followUp, switchTime,
+         tactics: { flankAngle, speedScale, standoff } }
+============================================================ */
+import { DEFAULT_TACTICS, SIMULATION_CONFIG, STRATEGIES } from "./config.js";
+import { createRng } from "./random.js";
+import { runRollouts } from "./evaluation.js";
+
+/* --------------------------
+   Search bounds for the continuous plan parameters
+-------------------------- */
+export const PARAMETER_SPACE = {
+  flankAngle: { min: 0.2, max: 1.4 },
+  speedScale: { min: 0.6, max: 1.4 },
+  standoff: { min: 30, max: 150 },
+  switchTime: { min: 0, max: SIMULATION_CONFIG.COA_HORIZON },
+};
+
+const TACTIC_KEYS = Object.keys(DEFAULT_TACTICS);
+const APPROACHES = STRATEGIES.map((s) => s.approach);
+
+const clamp = (value, { min, max }) => Math.max(min, Math.min(max, value));
+
+/* --------------------------
+   Helper: sampleNormal
+   Box-Muller draw from N(mean, std).
+-------------------------- */
+const sampleNormal = (mean, std, rng) => {
+  const u = 1 - rng();
+  const v = rng();
+  return mean + std * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/* --------------------------
+   Helper: sampleCategory
+   Index drawn from a list of probabilities.
+-------------------------- */
+const sampleCategory = (weights, rng) => {
+  let roll = rng();
+  for (let i = 0; i < weights.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return i;
+  }
+  return weights.length - 1;
+};
+
+const uniformWeights = (count) => new Array(count).fill(1 / count);
+
+/* --------------------------
+   intentWeights
+   Probabilities over STRATEGIES for a commander's intent:
+   strategies serving it weigh INTENT_BIAS times the rest.
+   A balanced intent favours none.
+-------------------------- */
+export const intentWeights = (intent = "balanced") => {
+  const weights = STRATEGIES.map((s) =>
+    intent !== "balanced" && s.intent === intent ? SIMULATION_CONFIG.INTENT_BIAS : 1
+  );
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return weights.map((w) => w / total);
+};
+
+/* --------------------------
+   sampleStrategy
+   Strategy (catalogue entry) drawn with the intent's weights.
+   Uses a single rng draw.
+-------------------------- */
+export const sampleStrategy = (intent, rng) =>
+  STRATEGIES[sampleCategory(intentWeights(intent), rng)];
+
+/* --------------------------
+   createSearch
+   Starting distribution: strategies weighted by the commander's
+   intent (intentWeights), Gaussians centred on the default
+   tactics. slots is the number of independently chosen
+   strategies (one per theater).
+   The follow-up slot has an extra "none" category at the end.
+-------------------------- */
+export const createSearch = (slots, intent = "balanced") => {
+  const gaussian = (key, mean) => ({
+    mean,
+    std: (PARAMETER_SPACE[key].max - PARAMETER_SPACE[key].min) / 4,
+  });
+  return {
+    generation: 0,
+    strategyWeights: Array.from({ length: slots }, () => intentWeights(intent)),
+    followUpWeights: uniformWeights(APPROACHES.length + 1),
+    continuous: {
+      ...Object.fromEntries(TACTIC_KEYS.map((key) => [key, gaussian(key, DEFAULT_TACTICS[key])])),
+      switchTime: gaussian("switchTime", SIMULATION_CONFIG.COA_HORIZON / 2),
+    },
+  };
+};
+
+/* --------------------------
+   samplePlan
+   Draws one candidate plan from the search distribution.
+-------------------------- */
+export const samplePlan = (search, rng) => {
+  const draw = (key) =>
+    clamp(sampleNormal(search.continuous[key].mean, search.continuous[key].std, rng), PARAMETER_SPACE[key]);
+  const followUpIndex = sampleCategory(search.followUpWeights, rng);
+  return {
+    strategies: search.strategyWeights.map((weights) => APPROACHES[sampleCategory(weights, rng)]),
+    followUp: followUpIndex < APPROACHES.length ? APPROACHES[followUpIndex] : null,
+    switchTime: draw("switchTime"),
+    tactics: Object.fromEntries(TACTIC_KEYS.map((key) => [key, draw(key)])),
+  };
+};
+
+/* --------------------------
+   updateSearch
+   Refits the distribution to the elite share of scored
+   candidates ([{ plan, score }]), smoothed toward the previous
+   distribution so one noisy generation can't collapse it.
+-------------------------- */
+export const updateSearch = (search, scored) => {
+  const smoothing = SIMULATION_CONFIG.OPTIMIZER_SMOOTHING;
+  const eliteCount = Math.max(
+    1,
+    Math.ceil(scored.length * SIMULATION_CONFIG.OPTIMIZER_ELITE_FRACTION)
+  );
+  const elites = [...scored].sort((a, b) => b.score - a.score).slice(0, eliteCount);
+
+  const refitWeights = (weights, indexOf) => {
+    const counts = new Array(weights.length).fill(0);
+    elites.forEach((elite) => {
+      counts[indexOf(elite.plan)] += 1;
+    });
+    return weights.map((w, i) => smoothing * (counts[i] / elites.length) + (1 - smoothing) * w);
+  };
+
+  const refitGaussian = (key, valueOf) => {
+    const values = elites.map((elite) => valueOf(elite.plan));
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+    const range = PARAMETER_SPACE[key].max - PARAMETER_SPACE[key].min;
+    const previous = search.continuous[key];
+    return {
+      mean: smoothing * mean + (1 - smoothing) * previous.mean,
+      std: Math.max(range * 0.02, smoothing * std + (1 - smoothing) * previous.std),
+    };
+  };
+
+  return {
+    generation: search.generation + 1,
+    strategyWeights: search.strategyWeights.map((weights, slot) =>
+      refitWeights(weights, (plan) => APPROACHES.indexOf(plan.strategies[slot]))
+    ),
+    followUpWeights: refitWeights(search.followUpWeights, (plan) =>
+      plan.followUp === null ? APPROACHES.length : APPROACHES.indexOf(plan.followUp)
+    ),
+    continuous: {
+      ...Object.fromEntries(
+        TACTIC_KEYS.map((key) => [key, refitGaussian(key, (plan) => plan.tactics[key])])
+      ),
+      switchTime: refitGaussian("switchTime", (plan) => plan.switchTime),
+    },
+  };
+};
+
+/* --------------------------
+   planSlots
+   Strategy slots for a state: one per theater in
+   multi-theater mode, otherwise one.
+-------------------------- */
+export const planSlots = (state) =>
+  state.mode === "multi-theater" ? state.theaters.length : 1;
+
+/* --------------------------
+   planInputs
+   Engine inputs for a plan `elapsed` seconds into it.
+   base: { policy, logistics }
+-------------------------- */
+export const planInputs = (plan, elapsed, base) => {
+  const switched = plan.followUp !== null && elapsed >= plan.switchTime;
+  return {
+    ...base,
+    strategy: switched ? plan.followUp : plan.strategies[0],
+    theaterStrategies: switched ? null : plan.strategies,
+    tactics: plan.tactics,
+  };
+};
+
+/* --------------------------
+   evaluatePlan
+   Scores a plan by rollouts from state (see evaluation.js).
+-------------------------- */
+export const evaluatePlan = (
+  state,
+  plan,
+  base,
+  seed,
+  rollouts = SIMULATION_CONFIG.OPTIMIZER_ROLLOUTS
+) => ({
+  plan,
+  ...runRollouts(state, (elapsed) => planInputs(plan, elapsed, base), seed, rollouts),
+});
+
+/* --------------------------
+   describePlan
+   One-line summary for COA lists.
+-------------------------- */
+export const describePlan = (plan) => {
+  const nameOf = (approach) => STRATEGIES.find((s) => s.approach === approach).name;
+  const opening = plan.strategies.map(nameOf).join(" / ");
+  return plan.followUp === null
+    ? opening
+    : `${opening} → ${nameOf(plan.followUp)} @${plan.switchTime.toFixed(0)}s`;
+};
+
+/* --------------------------
+   runSearch
+   Drives the search on a worker pool (workerPool.js).
+   - getContext() -> { state, policy, logistics } is read for
+     each generation, so the search follows the live run. The
+     first generation's policy.commanderIntent sets the starting
+     strategy weights.
+   - onResult(evaluation) streams every scored candidate;
+     onGeneration(search) fires after each refit.
+   - Stops after `generations` or once isCancelled() is true.
+   Resolves with the final search distribution.
+-------------------------- */
+export const runSearch = async ({
+  pool,
+  getContext,
+  seed,
+  generations = SIMULATION_CONFIG.OPTIMIZER_GENERATIONS,
+  isCancelled = () => false,
+  onResult = () => {},
+  onGeneration = () => {},
+}) => {
+  const rng = createRng(seed);
+  let search = null;
+
+  for (let g = 0; g < generations && !isCancelled(); g++) {
+    const { state, policy, logistics } = getContext();
+    if (!search) search = createSearch(planSlots(state), policy.commanderIntent);
+
+    const candidates = [];
+    for (let i = 0; i < SIMULATION_CONFIG.OPTIMIZER_POPULATION; i++) {
+      candidates.push(samplePlan(search, rng));
+    }
+
+    const evaluations = await Promise.all(
+      candidates.map((plan) =>
+        pool
+          .run({
+            state,
+            plan,
+            inputs: { policy, logistics },
+            seed: Math.floor(rng() * 4294967296),
+            rollouts: SIMULATION_CONFIG.OPTIMIZER_ROLLOUTS,
+          })
+          .then((evaluation) => {
+            if (!isCancelled()) onResult(evaluation);
+            return evaluation;
+          })
+      )
+    );
+    if (isCancelled()) break;
+
+    search = updateSearch(
+      search,
+      evaluations.map((evaluation) => ({ plan: evaluation.plan, score: evaluation.score.mean }))
+    );
+    onGeneration(search);
+  }
+
+  return search;
+};
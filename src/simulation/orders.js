@@ -0,0 +1,97 @@
+/* ============================================================
+   Unit Orders (Human vs AI mode)
+   - Blue agents follow orders issued by the player instead of
+     the strategy controller; red stays under AI control.
+   - An order is a plain object:
+       { type: "hold" }
+       { type: "move", x, y }
+       { type: "attack", targetId }
+   - Move orders revert to hold on arrival, attack orders when
+     the target is destroyed.
+============================================================ */
+import { STRATEGIES } from "./config.js";
+import { moveToward } from "./behavior.js";
+import { engagementRange } from "./units.js";
+
+export const HOLD_ORDER = { type: "hold" };
+
+/* --------------------------
+   assignOrders
+   Gives the order to every active blue agent in agentIds.
+-------------------------- */
+export const assignOrders = (agents, agentIds, order) => {
+  const ids = new Set(agentIds);
+  return agents.map((agent) =>
+    agent.team === "blue" && agent.active && ids.has(agent.id)
+      ? { ...agent, order }
+      : agent
+  );
+};
+
+/* --------------------------
+   getOrderBehavior
+   Returns velocity (vx, vy) and the order still in force.
+   Attackers close to 80% of their engagement range and hold there.
+-------------------------- */
+export const getOrderBehavior = (agent, redAgents) => {
+  const order = agent.order || HOLD_ORDER;
+  const speed = STRATEGIES[0].speed;
+
+  if (order.type === "move") {
+    const behavior = moveToward(agent, order.x, order.y, speed);
+    if (behavior.vx === 0 && behavior.vy === 0) return { ...behavior, order: HOLD_ORDER };
+    return { ...behavior, order };
+  }
+
+  if (order.type === "attack") {
+    const target = redAgents.find((a) => a.id === order.targetId);
+    if (!target) return { vx: 0, vy: 0, order: HOLD_ORDER };
+    const dist = Math.hypot(target.x - agent.x, target.y - agent.y);
+    if (dist <= engagementRange(agent) * 0.8) return { vx: 0, vy: 0, order };
+    return { ...moveToward(agent, target.x, target.y, speed), order };
+  }
+
+  return { vx: 0, vy: 0, order: HOLD_ORDER };
+};
+
+/* --------------------------
+   findAgentAt
+   Hit test for canvas clicks: the closest living agent of the
+   team within `radius` of (x, y), or null.
+-------------------------- */
+export const findAgentAt = (agents, team, x, y, radius = 10) => {
+  let found = null;
+  let minDistance = radius;
+  for (const agent of agents) {
+    if (agent.team !== team) continue;
+    if (team === "blue" ? !agent.active : agent.health <= 0) continue;
+    const distance = Math.hypot(agent.x - x, agent.y - y);
+    if (distance <= minDistance) {
+      minDistance = distance;
+      found = agent;
+    }
+  }
+  return found;
+};
+
+/* --------------------------
+   findAgentsInBox
+   Ids of active blue agents inside a drag-selection box.
+-------------------------- */
+export const findAgentsInBox = (agents, box) => {
+  const minX = Math.min(box.x0, box.x1);
+  const maxX = Math.max(box.x0, box.x1);
+  const minY = Math.min(box.y0, box.y1);
+  const maxY = Math.max(box.y0, box.y1);
+  return agents
+    .filter(
+      (a) =>
+        a.team === "blue" &&
+        a.active &&
+        a.x >= minX &&
+        a.x <= maxX &&
+        a.y >= minY &&
+        a.y <= maxY
+    )
+    .map((a) => a.id);
+};
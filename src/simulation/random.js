@@ -0,0 +1,60 @@
+/* ============================================================
+   Seeded Random Number Generation
+   - Mulberry32 PRNG: small, fast, and good enough for simulation.
+   - Every random draw in the engine goes through one of these so
+     the same seed plus the same inputs replays identically.
+   - The generator state is a single uint32, so it can be stored
+     in plain simulation state and resumed later.
+============================================================ */
+
+/* --------------------------
+   hashSeed
+   Turns a numeric or string seed into a uint32 (FNV-1a for strings).
+-------------------------- */
+export const hashSeed = (seed) => {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/* --------------------------
+   restoreRng
+   Returns rng() -> [0, 1) resumed from a saved uint32 state.
+   rng.getState() exposes the current state for saving.
+-------------------------- */
+export const restoreRng = (state) => {
+  let s = state >>> 0;
+  const rng = () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.getState = () => s;
+  return rng;
+};
+
+/* --------------------------
+   createRng
+   Starts a fresh generator from a numeric or string seed.
+-------------------------- */
+export const createRng = (seed) => restoreRng(hashSeed(seed));
+
+/* --------------------------
+   deriveSeed
+   Splits one user seed into independent streams (e.g. engine vs.
+   strategy controller) so draws in one never shift the other.
+-------------------------- */
+export const deriveSeed = (seed, stream) => hashSeed(`${hashSeed(seed)}:${stream}`);
+
+/* --------------------------
+   randomSeed
+   Picks a fresh seed for a new run (not itself reproducible).
+-------------------------- */
+export const randomSeed = () => Math.floor(Math.random() * 1000000);
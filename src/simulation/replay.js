@@ -0,0 +1,103 @@
+/* ============================================================
+   Replays
+   - A run is recorded as the inputs and dt of every tick plus
+     keyframes (full engine states). The engine is deterministic,
+     so any tick is rebuilt by stepping forward from the nearest
+     keyframe at or before it.
+   - Keyframes are taken every REPLAY_KEYFRAME_INTERVAL ticks and
+     whenever the state is changed outside step() (player
+     orders, theater priorities), so those edits replay too.
+   - replay: { frames: [{ inputs, dt, time }],
+               keyframes: [{ frame, state }] }
+     Frame n is the state after n ticks; frame 0 is the start.
+   - Recording appends in place: a replay grows every tick, and
+     copying it each time would cost quadratic time.
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+import { step } from "./engine.js";
+
+/* --------------------------
+   createReplay
+   Empty recording starting from state.
+-------------------------- */
+export const createReplay = (state) => ({
+  frames: [],
+  keyframes: [{ frame: 0, state }],
+});
+
+/* --------------------------
+   Helper: addKeyframe
+   Replaces a keyframe already taken at the same frame.
+-------------------------- */
+const addKeyframe = (replay, state) => {
+  const frame = replay.frames.length;
+  const last = replay.keyframes[replay.keyframes.length - 1];
+  if (last.frame === frame) replay.keyframes[replay.keyframes.length - 1] = { frame, state };
+  else replay.keyframes.push({ frame, state });
+};
+
+/* --------------------------
+   recordStep
+   Appends one tick: the inputs and dt given to step() and the
+   state it returned.
+-------------------------- */
+export const recordStep = (replay, inputs, dt, state) => {
+  replay.frames.push({ inputs, dt, time: state.time });
+  if (replay.frames.length % SIMULATION_CONFIG.REPLAY_KEYFRAME_INTERVAL === 0) {
+    addKeyframe(replay, state);
+  }
+};
+
+/* --------------------------
+   recordEdit
+   Notes a state changed between ticks (orders, priorities).
+-------------------------- */
+export const recordEdit = (replay, state) => addKeyframe(replay, state);
+
+export const replayLength = (replay) => replay.frames.length;
+
+/* --------------------------
+   replayTime
+   Simulation time at a frame.
+-------------------------- */
+export const replayTime = (replay, frame) =>
+  frame === 0 ? replay.keyframes[0].state.time : replay.frames[frame - 1].time;
+
+/* --------------------------
+   frameAtTime
+   Last frame at or before simulation time `time`.
+-------------------------- */
+export const frameAtTime = (replay, time) => {
+  let low = 0;
+  let high = replay.frames.length;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (replayTime(replay, mid) <= time) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+/* --------------------------
+   seekReplay
+   State at a frame (clamped to the recording), as
+   { frame, state }. Pass the previous result as cursor to
+   step on from it instead of from the keyframe, so playback
+   costs one tick per frame.
+-------------------------- */
+export const seekReplay = (replay, frame, cursor = null) => {
+  const target = Math.max(0, Math.min(replay.frames.length, frame));
+
+  let start = replay.keyframes[0];
+  for (const keyframe of replay.keyframes) {
+    if (keyframe.frame > target) break;
+    start = keyframe;
+  }
+  if (cursor && cursor.frame <= target && cursor.frame > start.frame) start = cursor;
+
+  let { state } = start;
+  for (let i = start.frame; i < target; i++) {
+    state = step(state, replay.frames[i].inputs, replay.frames[i].dt);
+  }
+  return { frame: target, state };
+};
@@ -0,0 +1,323 @@
+/* ============================================================
+   After-Action Report
+   - Turns a run's replay (replay.js) into a self-contained HTML
+     report, printable to PDF: scenario settings, policy and
+     logistics, the result (victory.js), the strategy switch
+     timeline, force curves per theater, the top COAs and canvas
+     snapshots.
+   - Force curves are sampled at the replay keyframes, so the
+     report never re-simulates the run.
+   - Snapshots are image data URLs taken by the UI shell:
+       { time, label, images: [{ name, src }] }
+============================================================ */
+import { SIMULATION_CONFIG, STRATEGIES } from "./config.js";
+import { getAllAgents } from "./engine.js";
+import { describePlan } from "./optimizer.js";
+import { replayTime } from "./replay.js";
+import { forceCost } from "./units.js";
+
+const strategyName = (approach) => {
+  const strategy = STRATEGIES.find((s) => s.approach === approach);
+  return strategy ? strategy.name : approach;
+};
+
+const countForces = (agents) => ({
+  blue: agents.filter((a) => a.team === "blue" && a.active).length,
+  red: agents.filter((a) => a.team === "red" && a.health > 0).length,
+});
+
+/* --------------------------
+   addSnapshot
+   Appends a snapshot to the run's list. Past twice
+   AAR_SNAPSHOTS every other one is dropped (the first is kept),
+   so a long run holds a bounded, evenly spread set.
+-------------------------- */
+export const addSnapshot = (snapshots, snapshot) => {
+  const next = [...snapshots, snapshot];
+  return next.length > SIMULATION_CONFIG.AAR_SNAPSHOTS * 2
+    ? next.filter((_, index) => index % 2 === 0)
+    : next;
+};
+
+/* --------------------------
+   Helper: pickSnapshots
+   Up to AAR_SNAPSHOTS evenly spaced, keeping the first and last.
+-------------------------- */
+const pickSnapshots = (snapshots) => {
+  const count = SIMULATION_CONFIG.AAR_SNAPSHOTS;
+  if (snapshots.length <= count) return snapshots;
+  return Array.from(
+    { length: count },
+    (_, i) => snapshots[Math.round((i * (snapshots.length - 1)) / (count - 1))]
+  );
+};
+
+/* --------------------------
+   strategyTimeline
+   The controller's strategy (and any per-theater overrides) each
+   time it changed during the replay: [{ time, strategy,
+   theaterStrategies }].
+-------------------------- */
+export const strategyTimeline = (replay) => {
+  const timeline = [];
+  let previous = null;
+  replay.frames.forEach((frame, index) => {
+    const overrides = frame.inputs.theaterStrategies || [];
+    const key = JSON.stringify([frame.inputs.strategy, overrides]);
+    if (key === previous) return;
+    previous = key;
+    timeline.push({
+      time: replayTime(replay, index),
+      strategy: frame.inputs.strategy,
+      theaterStrategies: overrides,
+    });
+  });
+  return timeline;
+};
+
+/* --------------------------
+   forceCurves
+   Living blue and red counts per theater (or the single
+   battlespace) at every keyframe and the final state:
+   [{ name, points: [{ time, blue, red }] }].
+-------------------------- */
+export const forceCurves = (replay, state) => {
+  const samples = replay.keyframes.map((keyframe) => keyframe.state);
+  if (samples[samples.length - 1].time < state.time) samples.push(state);
+
+  const battles =
+    state.mode === "multi-theater"
+      ? state.theaters.map((theater, index) => ({
+          name: theater.name,
+          agentsOf: (sample) => sample.theaters[index].agents,
+        }))
+      : [{ name: "Battlespace", agentsOf: (sample) => sample.agents }];
+
+  return battles.map(({ name, agentsOf }) => ({
+    name,
+    points: samples.map((sample) => ({ time: sample.time, ...countForces(agentsOf(sample)) })),
+  }));
+};
+
+/* --------------------------
+   buildReport
+   Report data for a run.
+   run: { title, replay, state, policy, logistics, scenario,
+          coas, metrics, snapshots, generatedAt }
+   coas are the UI's best-COA entries ({ name, time,
+   evaluation }), already sorted.
+-------------------------- */
+export const buildReport = ({
+  title,
+  replay,
+  state,
+  policy,
+  logistics,
+  scenario = null,
+  coas = [],
+  metrics = null,
+  snapshots = [],
+  generatedAt,
+}) => {
+  const start = getAllAgents(replay.keyframes[0].state);
+  const agents = getAllAgents(state);
+  const living = agents.filter((a) => (a.team === "blue" ? a.active : a.health > 0));
+  return {
+    title,
+    generatedAt,
+    mode: state.mode,
+    seed: state.seed,
+    scenario: scenario ? { name: scenario.name, description: scenario.description } : null,
+    duration: state.time,
+    ticks: replay.frames.length,
+    policy,
+    logistics,
+    forces: {
+      start: countForces(start),
+      end: countForces(agents),
+      blueLost: agents.filter((a) => a.team === "blue" && !a.active).length,
+      value: {
+        blue: forceCost(living.filter((a) => a.team === "blue")),
+        red: forceCost(living.filter((a) => a.team === "red")),
+      },
+    },
+    campaign: state.campaign ? { status: state.campaign.status, score: state.campaign.score } : null,
+    engagement: state.engagement,
+    metrics,
+    timeline: strategyTimeline(replay),
+    curves: forceCurves(replay, state),
+    coas: coas.slice(0, SIMULATION_CONFIG.AAR_TOP_COAS).map((coa) => ({
+      name: coa.name,
+      strategy: coa.evaluation.plan
+        ? describePlan(coa.evaluation.plan)
+        : strategyName(coa.evaluation.strategy),
+      time: Number(coa.time),
+      score: coa.evaluation.score,
+      successRate: coa.evaluation.successRate,
+      blueLosses: coa.evaluation.blueLosses,
+    })),
+    snapshots: pickSnapshots(snapshots),
+  };
+};
+
+/* --------------------------
+   Helper: escapeHtml
+-------------------------- */
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatTime = (seconds) => `${seconds.toFixed(1)}s`;
+
+const formatEstimate = ({ mean, ci }) =>
+  mean === null ? "—" : `${mean.toFixed(1)} ± ${ci.toFixed(1)}`;
+
+const table = (headers, rows) =>
+  `<table><thead><tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>` +
+  `<tbody>${rows
+    .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`)
+    .join("")}</tbody></table>`;
+
+/* --------------------------
+   Helper: forceChart
+   Inline SVG line chart of one force curve.
+-------------------------- */
+const forceChart = (curve) => {
+  const width = 320;
+  const height = 160;
+  const pad = 28;
+  const { points } = curve;
+  const maxTime = Math.max(1, points[points.length - 1].time);
+  const maxCount = Math.max(1, ...points.map((p) => Math.max(p.blue, p.red)));
+  const x = (time) => pad + (time / maxTime) * (width - pad * 2);
+  const y = (count) => height - pad - (count / maxCount) * (height - pad * 2);
+  const line = (team, color) =>
+    `<polyline fill="none" stroke="${color}" stroke-width="2" points="${points
+      .map((p) => `${x(p.time).toFixed(1)},${y(p[team]).toFixed(1)}`)
+      .join(" ")}"/>`;
+  return `<figure><svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+<line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#94a3b8"/>
+<line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" stroke="#94a3b8"/>
+<text x="${pad - 4}" y="${pad + 4}" text-anchor="end">${maxCount}</text>
+<text x="${pad - 4}" y="${height - pad}" text-anchor="end">0</text>
+<text x="${width - pad}" y="${height - pad + 14}" text-anchor="end">${formatTime(maxTime)}</text>
+${line("blue", "#2563eb")}${line("red", "#dc2626")}
+</svg><figcaption>${escapeHtml(curve.name)}</figcaption></figure>`;
+};
+
+const REPORT_STYLE = `
+body { font-family: system-ui, sans-serif; color: #0f172a; margin: 2rem; }
+h1 { margin-bottom: 0; }
+h2 { border-bottom: 1px solid #cbd5e1; padding-bottom: 0.25rem; margin-top: 2rem; }
+table { border-collapse: collapse; margin: 0.5rem 0; }
+th, td { border: 1px solid #cbd5e1; padding: 0.25rem 0.6rem; text-align: left; font-size: 0.9rem; }
+th { background: #f1f5f9; }
+figure { display: inline-block; margin: 0.5rem; text-align: center; }
+figure img { width: 240px; height: 240px; border: 1px solid #cbd5e1; }
+svg text { font-size: 10px; fill: #475569; }
+.muted { color: #64748b; }
+.snapshot { page-break-inside: avoid; }
+@media print { body { margin: 0; } h2 { page-break-after: avoid; } }
+`;
+
+/* --------------------------
+   renderReport
+   Self-contained HTML document for a report from buildReport.
+-------------------------- */
+export const renderReport = (report) => {
+  const { title, forces } = report;
+
+  const settings = [
+    ["Mode", report.mode],
+    ["Seed", report.seed],
+    ["Scenario", report.scenario ? report.scenario.name : "Random spawns"],
+    ["Duration", `${formatTime(report.duration)} (${report.ticks} ticks)`],
+    ...Object.entries(report.policy).map(([key, value]) => [`Policy: ${key}`, value]),
+    ...Object.entries(report.logistics).map(([key, value]) => [`Logistics: ${key}`, value]),
+  ];
+
+  const { engagement } = report;
+  const outcome = [
+    [
+      "Result",
+      engagement.status === "active"
+        ? "Undecided"
+        : `${engagement.status} at ${formatTime(engagement.time)}: ${engagement.reason}`,
+    ],
+    ...engagement.battles
+      .filter((battle) => battle.status !== "active")
+      .map((battle) => [battle.name, `${battle.status}: ${battle.reason}`]),
+    ["Blue in action", `${forces.end.blue} of ${forces.start.blue} at start`],
+    ["Blue lost", forces.blueLost],
+    ["Red remaining", `${forces.end.red} of ${forces.start.red} at start`],
+    ["Force value (blue / red)", `${forces.value.blue} / ${forces.value.red}`],
+  ];
+  if (report.campaign) {
+    outcome.push(["Campaign", `${report.campaign.status}, ${report.campaign.score.points} points`]);
+  }
+  if (report.metrics) {
+    outcome.push(
+      ["Success probability", `${Math.floor(report.metrics.successProbability)}%`],
+      ["Resource consumption", `${report.metrics.resourceConsumption}%`]
+    );
+  }
+
+  const timeline = report.timeline.map((entry) => [
+    formatTime(entry.time),
+    strategyName(entry.strategy),
+    entry.theaterStrategies.some((s) => s !== null)
+      ? entry.theaterStrategies.map((s) => (s === null ? "auto" : strategyName(s))).join(" / ")
+      : "",
+  ]);
+
+  const coas = report.coas.map((coa) => [
+    coa.name,
+    coa.strategy,
+    formatTime(coa.time),
+    formatEstimate(coa.score),
+    `${Math.round(coa.successRate * 100)}%`,
+    formatEstimate(coa.blueLosses),
+  ]);
+
+  const snapshots = report.snapshots
+    .map(
+      (snapshot) => `<div class="snapshot"><h3>${escapeHtml(snapshot.label)} — ${formatTime(snapshot.time)}</h3>${snapshot.images
+        .map(
+          (image) =>
+            `<figure><img src="${escapeHtml(image.src)}" alt="${escapeHtml(image.name)}"/><figcaption>${escapeHtml(image.name)}</figcaption></figure>`
+        )
+        .join("")}</div>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>After-Action Report — ${escapeHtml(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>After-Action Report</h1>
+<p class="muted">${escapeHtml(title)} · generated ${escapeHtml(report.generatedAt)}</p>
+${report.scenario && report.scenario.description ? `<p>${escapeHtml(report.scenario.description)}</p>` : ""}
+<h2>Settings</h2>
+${table(["Setting", "Value"], settings)}
+<h2>Outcome</h2>
+${table(["Measure", "Value"], outcome)}
+<h2>Strategy Timeline</h2>
+${timeline.length > 0 ? table(["Time", "Strategy", "Theater overrides"], timeline) : `<p class="muted">No ticks recorded.</p>`}
+<h2>Force Curves</h2>
+<p class="muted"><span style="color:#2563eb">Blue</span> in action and <span style="color:#dc2626">red</span> remaining over time.</p>
+${report.curves.map(forceChart).join("")}
+<h2>Top Courses of Action</h2>
+${coas.length > 0 ? table(["COA", "Strategy", "Found at", "Score", "Success", "Blue losses"], coas) : `<p class="muted">No COAs evaluated.</p>`}
+<h2>Snapshots</h2>
+${snapshots || `<p class="muted">No snapshots taken.</p>`}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,292 @@
+/* ============================================================
+   Scenario Files
+   - Versioned JSON describing an exercise setup: theaters,
+     named units with types and spawn positions, objective
+     areas, no-go zones, and policy / logistics presets.
+   - parseScenario validates and normalizes a file; the engine
+     builds its initial state from the result
+     (createInitialState(mode, seed, scenario)).
+   - Format (version 1):
+     {
+       format: "scepter-scenario", version: 1,
+       name, description, mode, seed?,
+       theaters: [{
+         name, priority,
+         units: [{ id, name, team, type, x, y, health }],
+                  (type: a UNIT_TYPES key)
+         objectives: [{ name, x, y, radius }],
+         zones: [{ name, x, y, width, height }]   (no-go, see zones.js)
+       }],
+       policy?: { forceLevel, roe, commanderIntent, riskTolerance },
+       logistics?: { supplyRate, maintenanceLevel, commsReliability,
+                     transportCapacity }
+     }
+============================================================ */
+import { SIMULATION_CONFIG, UNIT_TYPES } from "./config.js";
+import { getAllAgents } from "./engine.js";
+import { DEFAULT_UNIT_TYPE } from "./units.js";
+
+export const SCENARIO_FORMAT = "scepter-scenario";
+export const SCENARIO_VERSION = 1;
+
+export const SCENARIO_MODES = [
+  "multi-theater",
+  "standard",
+  "resources",
+  "fog-of-war",
+  "campaign",
+  "human-vs-ai",
+];
+
+const POLICY_CHOICES = {
+  roe: ["defensive", "standard", "aggressive"],
+  commanderIntent: ["defensive", "balanced", "offensive"],
+};
+const POLICY_LEVELS = ["forceLevel", "riskTolerance"];
+const LOGISTICS_LEVELS = [
+  "supplyRate",
+  "maintenanceLevel",
+  "commsReliability",
+  "transportCapacity",
+];
+
+// Files written before the unit catalogue used "standard"
+const UNIT_TYPE_ALIASES = { standard: DEFAULT_UNIT_TYPE };
+
+/* --------------------------
+   Helpers: field checks
+   Each throws with the path of the offending field.
+-------------------------- */
+const fail = (path, problem) => {
+  throw new Error(`Invalid scenario: ${path} ${problem}`);
+};
+
+const readNumber = (value, path, fallback) => {
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (typeof value !== "number" || !Number.isFinite(value)) fail(path, "must be a number");
+  return value;
+};
+
+// Optional lists default to empty
+const readList = (value, path) => {
+  if (value == null) return [];
+  if (!Array.isArray(value)) fail(path, "must be an array");
+  return value;
+};
+
+const readString = (value, path, fallback) => {
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (typeof value !== "string") fail(path, "must be a string");
+  return value;
+};
+
+const clampToGrid = (value) => Math.max(0, Math.min(SIMULATION_CONFIG.GRID_SIZE, value));
+const clampPercent = (value) => Math.max(0, Math.min(100, value));
+
+const readUnitType = (value, path) => {
+  const type = readString(value, path, DEFAULT_UNIT_TYPE);
+  const resolved = UNIT_TYPE_ALIASES[type] ?? type;
+  if (!UNIT_TYPES[resolved]) fail(path, `must be one of ${Object.keys(UNIT_TYPES).join(", ")}`);
+  return resolved;
+};
+
+/* --------------------------
+   Helper: readUnit
+   Normalizes one unit; ids default to <prefix><team><index>.
+-------------------------- */
+const readUnit = (unit, path, prefix, index) => {
+  if (!unit || typeof unit !== "object") fail(path, "must be an object");
+  if (unit.team !== "blue" && unit.team !== "red") fail(`${path}.team`, 'must be "blue" or "red"');
+  const id = readString(unit.id, `${path}.id`, `${prefix}${unit.team[0]}${index}`);
+  return {
+    id,
+    name: readString(unit.name, `${path}.name`, id),
+    team: unit.team,
+    type: readUnitType(unit.type, `${path}.type`),
+    x: clampToGrid(readNumber(unit.x, `${path}.x`)),
+    y: clampToGrid(readNumber(unit.y, `${path}.y`)),
+    health: Math.max(1, Math.min(100, readNumber(unit.health, `${path}.health`, 100))),
+  };
+};
+
+const readObjective = (objective, path, index) => {
+  if (!objective || typeof objective !== "object") fail(path, "must be an object");
+  return {
+    name: readString(objective.name, `${path}.name`, `Objective ${index + 1}`),
+    x: clampToGrid(readNumber(objective.x, `${path}.x`)),
+    y: clampToGrid(readNumber(objective.y, `${path}.y`)),
+    radius: Math.max(5, readNumber(objective.radius, `${path}.radius`, 30)),
+  };
+};
+
+const readZone = (zone, path, index) => {
+  if (!zone || typeof zone !== "object") fail(path, "must be an object");
+  const x = clampToGrid(readNumber(zone.x, `${path}.x`));
+  const y = clampToGrid(readNumber(zone.y, `${path}.y`));
+  return {
+    name: readString(zone.name, `${path}.name`, `No-go ${index + 1}`),
+    x,
+    y,
+    width: Math.max(1, Math.min(SIMULATION_CONFIG.GRID_SIZE - x, readNumber(zone.width, `${path}.width`))),
+    height: Math.max(1, Math.min(SIMULATION_CONFIG.GRID_SIZE - y, readNumber(zone.height, `${path}.height`))),
+  };
+};
+
+const readTheater = (theater, path, index, prefix) => {
+  if (!theater || typeof theater !== "object") fail(path, "must be an object");
+  if (!Array.isArray(theater.units)) fail(`${path}.units`, "must be an array");
+  const units = theater.units.map((unit, i) => readUnit(unit, `${path}.units[${i}]`, prefix, i));
+  const ids = new Set();
+  units.forEach((unit, i) => {
+    if (ids.has(unit.id)) fail(`${path}.units[${i}].id`, `"${unit.id}" is used twice`);
+    ids.add(unit.id);
+  });
+  return {
+    name: readString(theater.name, `${path}.name`, `Theater ${index + 1}`),
+    priority: Math.max(0, Math.min(1, readNumber(theater.priority, `${path}.priority`, 0.5))),
+    units,
+    objectives: readList(theater.objectives, `${path}.objectives`).map((objective, i) =>
+      readObjective(objective, `${path}.objectives[${i}]`, i)
+    ),
+    zones: readList(theater.zones, `${path}.zones`).map((zone, i) =>
+      readZone(zone, `${path}.zones[${i}]`, i)
+    ),
+  };
+};
+
+/* --------------------------
+   Helper: readPreset
+   Copies known policy / logistics keys; levels are 0-100.
+-------------------------- */
+const readPreset = (preset, path, levels, choices = {}) => {
+  if (preset == null) return null;
+  if (!preset || typeof preset !== "object") fail(path, "must be an object");
+  const result = {};
+  levels.forEach((key) => {
+    if (preset[key] !== undefined) result[key] = clampPercent(readNumber(preset[key], `${path}.${key}`));
+  });
+  Object.entries(choices).forEach(([key, allowed]) => {
+    if (preset[key] === undefined) return;
+    if (!allowed.includes(preset[key])) fail(`${path}.${key}`, `must be one of ${allowed.join(", ")}`);
+    result[key] = preset[key];
+  });
+  return result;
+};
+
+/* --------------------------
+   validateScenario
+   Checks a decoded scenario object and returns it normalized
+   (defaults filled, positions clamped to the grid).
+   Throws an Error naming the first invalid field.
+-------------------------- */
+export const validateScenario = (data) => {
+  if (!data || typeof data !== "object") fail("file", "must contain a JSON object");
+  if (data.format !== SCENARIO_FORMAT) fail("format", `must be "${SCENARIO_FORMAT}"`);
+  if (!Number.isInteger(data.version) || data.version < 1) fail("version", "must be a positive integer");
+  if (data.version > SCENARIO_VERSION) {
+    fail("version", `${data.version} is newer than this build supports (${SCENARIO_VERSION})`);
+  }
+  if (!SCENARIO_MODES.includes(data.mode)) fail("mode", `must be one of ${SCENARIO_MODES.join(", ")}`);
+
+  const maxTheaters = data.mode === "multi-theater" ? SIMULATION_CONFIG.NUM_THEATERS : 1;
+  if (!Array.isArray(data.theaters) || data.theaters.length === 0) {
+    fail("theaters", "must be a non-empty array");
+  }
+  if (data.theaters.length > maxTheaters) {
+    fail("theaters", `may hold at most ${maxTheaters} for mode "${data.mode}"`);
+  }
+
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name: readString(data.name, "name", "Untitled scenario"),
+    description: readString(data.description, "description", ""),
+    mode: data.mode,
+    seed: data.seed == null ? null : readNumber(data.seed, "seed"),
+    theaters: data.theaters.map((theater, index) =>
+      readTheater(
+        theater,
+        `theaters[${index}]`,
+        index,
+        data.mode === "multi-theater" ? `t${index}-` : ""
+      )
+    ),
+    policy: readPreset(data.policy, "policy", POLICY_LEVELS, POLICY_CHOICES),
+    logistics: readPreset(data.logistics, "logistics", LOGISTICS_LEVELS),
+  };
+};
+
+/* --------------------------
+   parseScenario
+   Text of a scenario file -> validated scenario.
+-------------------------- */
+export const parseScenario = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid scenario: not valid JSON (${error.message})`);
+  }
+  return validateScenario(data);
+};
+
+/* --------------------------
+   serializeScenario
+   Scenario -> pretty-printed file text.
+-------------------------- */
+export const serializeScenario = (scenario) => `${JSON.stringify(scenario, null, 2)}\n`;
+
+/* --------------------------
+   Helper: unitFromAgent
+-------------------------- */
+const unitFromAgent = (agent) => ({
+  id: agent.id,
+  name: agent.name ?? agent.id,
+  team: agent.team,
+  type: agent.type ?? DEFAULT_UNIT_TYPE,
+  x: Math.round(agent.x * 10) / 10,
+  y: Math.round(agent.y * 10) / 10,
+  health: Math.round(agent.health),
+});
+
+const isAlive = (agent) => (agent.team === "blue" ? agent.active : agent.health > 0);
+
+/* --------------------------
+   scenarioFromState
+   Captures an engine state's surviving units, positions,
+   objectives and no-go zones as a scenario, with the given
+   presets.
+   details: { name, description, policy, logistics }
+-------------------------- */
+export const scenarioFromState = (state, details = {}) => {
+  const theaters =
+    state.mode === "multi-theater"
+      ? state.theaters.map((theater) => ({
+          name: theater.name,
+          priority: theater.priority,
+          units: theater.agents.filter(isAlive).map(unitFromAgent),
+          objectives: theater.objectives,
+          zones: theater.zones,
+        }))
+      : [
+          {
+            name: state.campaign ? state.theaters[state.campaign.phaseIndex].name : "Battlespace",
+            priority: 1,
+            units: getAllAgents(state).filter(isAlive).map(unitFromAgent),
+            objectives: state.objectives,
+            zones: state.zones,
+          },
+        ];
+
+  return validateScenario({
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name: details.name ?? "Untitled scenario",
+    description: details.description ?? "",
+    mode: state.mode,
+    seed: state.seed,
+    theaters,
+    policy: details.policy,
+    logistics: details.logistics,
+  });
+};
@@ -0,0 +1,40 @@
+/* ============================================================
+   Tests: scenario validation
+   - Malformed files fail with the path of the offending field.
+============================================================ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { SCENARIO_FORMAT, SCENARIO_VERSION, validateScenario } from "./scenario.js";
+
+const scenario = (theater) => ({
+  format: SCENARIO_FORMAT,
+  version: SCENARIO_VERSION,
+  mode: "standard",
+  theaters: [
+    {
+      units: [
+        { team: "blue", x: 10, y: 10 },
+        { team: "red", x: 80, y: 80 },
+      ],
+      ...theater,
+    },
+  ],
+});
+
+test("objectives and zones default to empty lists", () => {
+  const { theaters } = validateScenario(scenario({}));
+  assert.deepEqual(theaters[0].objectives, []);
+  assert.deepEqual(theaters[0].zones, []);
+});
+
+test("non-array objectives fail with the field's path", () => {
+  assert.throws(() => validateScenario(scenario({ objectives: {} })), {
+    message: "Invalid scenario: theaters[0].objectives must be an array",
+  });
+});
+
+test("non-array zones fail with the field's path", () => {
+  assert.throws(() => validateScenario(scenario({ zones: "none" })), {
+    message: "Invalid scenario: theaters[0].zones must be an array",
+  });
+});
@@ -0,0 +1,183 @@
+/* ============================================================
+   Scenario Editor
+   - Pure edits on a scenario (scenario.js) for the canvas
+     editor: place, move and delete units, draw objective areas
+     and no-go zones, rename theaters, and change unit
+     attributes. Every edit returns a new scenario.
+   - The UI re-initializes the engine from the edited scenario,
+     so the canvases show exactly what Start will run.
+============================================================ */
+import { clampToGrid } from "./behavior.js";
+import { DEFAULT_UNIT_TYPE } from "./units.js";
+import { isInZone } from "./zones.js";
+
+export const EDITOR_TOOLS = [
+  { id: "select", name: "Select / Move" },
+  { id: "blue", name: "Blue Unit" },
+  { id: "red", name: "Red Unit" },
+  { id: "objective", name: "Objective" },
+  { id: "zone", name: "No-Go Zone" },
+  { id: "erase", name: "Erase" },
+];
+
+/* --------------------------
+   Helper: updateTheater
+   Replaces theater `index` with update(theater).
+-------------------------- */
+const updateTheater = (scenario, index, update) => ({
+  ...scenario,
+  theaters: scenario.theaters.map((theater, i) => (i === index ? update(theater) : theater)),
+});
+
+/* --------------------------
+   findUnitAt
+   Hit test: the unit in a scenario theater closest to (x, y)
+   within `radius`, or null.
+-------------------------- */
+export const findUnitAt = (theater, x, y, radius = 10) => {
+  let found = null;
+  let minDistance = radius;
+  for (const unit of theater.units) {
+    const distance = Math.hypot(unit.x - x, unit.y - y);
+    if (distance <= minDistance) {
+      minDistance = distance;
+      found = unit;
+    }
+  }
+  return found;
+};
+
+/* --------------------------
+   nextUnitId
+   First free id for a new unit, following the engine's naming
+   (t<theater>-b<n> in Multi-Theater mode, b<n> otherwise).
+-------------------------- */
+export const nextUnitId = (scenario, index, team) => {
+  const prefix = `${scenario.mode === "multi-theater" ? `t${index}-` : ""}${team[0]}`;
+  const ids = new Set(scenario.theaters[index].units.map((unit) => unit.id));
+  let n = 0;
+  while (ids.has(`${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+};
+
+/* --------------------------
+   addUnit
+   Places a full-health infantry unit: { id, team, x, y }.
+-------------------------- */
+export const addUnit = (scenario, index, { id, team, x, y }) =>
+  updateTheater(scenario, index, (theater) => ({
+    ...theater,
+    units: [
+      ...theater.units,
+      {
+        id,
+        name: id,
+        team,
+        type: DEFAULT_UNIT_TYPE,
+        x: clampToGrid(x),
+        y: clampToGrid(y),
+        health: 100,
+      },
+    ],
+  }));
+
+/* --------------------------
+   updateUnit
+   Applies attribute changes (name, team, type, health) or a
+   move (x, y) to one unit, keeping values in range.
+-------------------------- */
+export const updateUnit = (scenario, index, unitId, changes) =>
+  updateTheater(scenario, index, (theater) => ({
+    ...theater,
+    units: theater.units.map((unit) => {
+      if (unit.id !== unitId) return unit;
+      const updated = { ...unit, ...changes };
+      return {
+        ...updated,
+        x: clampToGrid(updated.x),
+        y: clampToGrid(updated.y),
+        health: Math.max(1, Math.min(100, updated.health)),
+      };
+    }),
+  }));
+
+export const removeUnit = (scenario, index, unitId) =>
+  updateTheater(scenario, index, (theater) => ({
+    ...theater,
+    units: theater.units.filter((unit) => unit.id !== unitId),
+  }));
+
+/* --------------------------
+   addObjective
+   Objective area from a drag: centre (x0, y0), radius to
+   (x1, y1). A click gives the default 30 radius.
+-------------------------- */
+export const addObjective = (scenario, index, { x0, y0, x1, y1 }) =>
+  updateTheater(scenario, index, (theater) => {
+    const dragged = Math.hypot(x1 - x0, y1 - y0);
+    return {
+      ...theater,
+      objectives: [
+        ...theater.objectives,
+        {
+          name: `Objective ${theater.objectives.length + 1}`,
+          x: clampToGrid(x0),
+          y: clampToGrid(y0),
+          radius: dragged < 5 ? 30 : dragged,
+        },
+      ],
+    };
+  });
+
+/* --------------------------
+   addZone
+   No-go zone from a drag box. Boxes under 4 units on a side
+   are ignored as stray clicks.
+-------------------------- */
+export const addZone = (scenario, index, { x0, y0, x1, y1 }) => {
+  const x = clampToGrid(Math.min(x0, x1));
+  const y = clampToGrid(Math.min(y0, y1));
+  const width = clampToGrid(Math.max(x0, x1)) - x;
+  const height = clampToGrid(Math.max(y0, y1)) - y;
+  if (width < 4 || height < 4) return scenario;
+  return updateTheater(scenario, index, (theater) => ({
+    ...theater,
+    zones: [
+      ...theater.zones,
+      { name: `No-go ${theater.zones.length + 1}`, x, y, width, height },
+    ],
+  }));
+};
+
+/* --------------------------
+   eraseAt
+   Deletes what is under (x, y): a unit first, then the most
+   recently drawn objective, then the most recent zone.
+-------------------------- */
+export const eraseAt = (scenario, index, x, y) => {
+  const theater = scenario.theaters[index];
+  const unit = findUnitAt(theater, x, y);
+  if (unit) return removeUnit(scenario, index, unit.id);
+
+  const objective = theater.objectives.findLastIndex(
+    (o) => Math.hypot(o.x - x, o.y - y) <= o.radius
+  );
+  if (objective >= 0) {
+    return updateTheater(scenario, index, (t) => ({
+      ...t,
+      objectives: t.objectives.filter((_, i) => i !== objective),
+    }));
+  }
+
+  const zone = theater.zones.findLastIndex((z) => isInZone(x, y, z));
+  if (zone >= 0) {
+    return updateTheater(scenario, index, (t) => ({
+      ...t,
+      zones: t.zones.filter((_, i) => i !== zone),
+    }));
+  }
+  return scenario;
+};
+
+export const renameTheater = (scenario, index, name) =>
+  updateTheater(scenario, index, (theater) => ({ ...theater, name }));
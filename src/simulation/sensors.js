@@ -0,0 +1,91 @@
+/* ============================================================
+   Sensors & Team Knowledge (Fog of War mode)
+   - Each agent sees enemies inside its own sensorRadius that
+     terrain doesn't hide (terrain.js line of sight; air units
+     see and are seen over it).
+   - Sightings reach the team's shared belief map only when the
+     comms roll succeeds, so poor commsReliability leaves the
+     team picture thin and stale.
+   - A belief map is a plain object keyed by enemy id:
+     { [id]: { id, x, y, lastSeen } } holding last-known positions.
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+import { inLineOfSight, unitType } from "./units.js";
+
+/* --------------------------
+   getSensorRadius
+   Per-agent radius, falling back to the team default scaled
+   by the unit type.
+-------------------------- */
+export const getSensorRadius = (agent) =>
+  agent.sensorRadius ??
+  (agent.team === "blue"
+    ? SIMULATION_CONFIG.BLUE_SENSOR_RADIUS
+    : SIMULATION_CONFIG.RED_SENSOR_RADIUS) * unitType(agent).sensor;
+
+/* --------------------------
+   canSee
+   True when the target sits inside the observer's sensor radius
+   with a clear line of sight (terrain may be null).
+-------------------------- */
+export const canSee = (observer, target, terrain = null) =>
+  Math.hypot(target.x - observer.x, target.y - observer.y) <= getSensorRadius(observer) &&
+  inLineOfSight(terrain, observer, target);
+
+/* --------------------------
+   isObserved
+   True when any of the observers currently sees the target.
+-------------------------- */
+export const isObserved = (target, observers, terrain = null) =>
+  observers.some((observer) => canSee(observer, target, terrain));
+
+/* --------------------------
+   updateBeliefs
+   Folds this tick's sightings into a team belief map.
+   - Each sighting is shared with probability reliability (0-1).
+   - Contacts whose last-known position is in view but empty are
+     cleared; contacts older than CONTACT_EXPIRY_TIME are dropped.
+-------------------------- */
+export const updateBeliefs = (beliefs, observers, enemies, reliability, time, rng, terrain = null) => {
+  const next = {};
+
+  for (const enemy of enemies) {
+    const seen = isObserved(enemy, observers, terrain);
+    if (seen && rng() < reliability) {
+      next[enemy.id] = { id: enemy.id, x: enemy.x, y: enemy.y, lastSeen: time };
+    }
+  }
+
+  for (const contact of Object.values(beliefs)) {
+    if (next[contact.id]) continue;
+    if (time - contact.lastSeen > SIMULATION_CONFIG.CONTACT_EXPIRY_TIME) continue;
+    const enemy = enemies.find((e) => e.id === contact.id);
+    const cleared = observers.some(
+      (observer) =>
+        canSee(observer, contact, terrain) && !(enemy && canSee(observer, enemy, terrain))
+    );
+    if (!cleared) next[contact.id] = contact;
+  }
+
+  return next;
+};
+
+/* --------------------------
+   getKnownContacts
+   What one agent can target: the team picture plus whatever it
+   sees with its own sensors (always at true position).
+-------------------------- */
+export const getKnownContacts = (agent, beliefs, enemies, terrain = null) => {
+  const contacts = { ...beliefs };
+  for (const enemy of enemies) {
+    if (canSee(agent, enemy, terrain)) contacts[enemy.id] = enemy;
+  }
+  return Object.values(contacts);
+};
+
+/* --------------------------
+   isStale
+   Contacts not refreshed within CONTACT_STALE_TIME.
+-------------------------- */
+export const isStale = (contact, time) =>
+  time - contact.lastSeen > SIMULATION_CONFIG.CONTACT_STALE_TIME;
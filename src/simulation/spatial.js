@@ -0,0 +1,168 @@
+/* ============================================================
+   Spatial Index
+   - Uniform grid over agent positions, rebuilt every tick, so
+     nearest-target and in-range queries only look at nearby
+     cells instead of scanning every agent.
+   - Queries give exactly what a scan of the indexed list would:
+     the same nearest agent (ties to the earlier one) and
+     in-range agents in list order, so the engine draws its
+     random numbers in the same order either way.
+   - index: { agents, cellSize, cells: Map(key -> [list index]),
+              bounds: { minCol, maxCol, minRow, maxRow },
+              dense: Map(key -> subgrid) }
+     A cell holding more than CELL_CAPACITY agents also gets a
+     subgrid { cellSize, cells, bounds, dense } a quarter its
+     size, so a crowd costs the nearest search a few small cells
+     rather than one long scan.
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+
+// Cell coordinates packed into one number; offset so negative
+// cells (agents outside the grid) get keys of their own
+const CELL_OFFSET = 32768;
+const cellKey = (col, row) => (col + CELL_OFFSET) * 65536 + (row + CELL_OFFSET);
+
+const CELL_CAPACITY = 16; // agents a cell holds before it is subdivided
+const SUBDIVISIONS = 4; // a dense cell splits into 4 x 4 subcells
+const MIN_CELL_SIZE = 1; // coincident agents stop the splitting here
+
+/* --------------------------
+   Helper: buildGrid
+   Buckets the given list indices by cellSize sized cells and
+   subdivides the dense ones.
+-------------------------- */
+const buildGrid = (agents, indices, cellSize) => {
+  const cells = new Map();
+  const bounds = { minCol: Infinity, maxCol: -Infinity, minRow: Infinity, maxRow: -Infinity };
+  for (const i of indices) {
+    const col = Math.floor(agents[i].x / cellSize);
+    const row = Math.floor(agents[i].y / cellSize);
+    const key = cellKey(col, row);
+    const cell = cells.get(key);
+    if (cell) cell.push(i);
+    else cells.set(key, [i]);
+    bounds.minCol = Math.min(bounds.minCol, col);
+    bounds.maxCol = Math.max(bounds.maxCol, col);
+    bounds.minRow = Math.min(bounds.minRow, row);
+    bounds.maxRow = Math.max(bounds.maxRow, row);
+  }
+  const dense = new Map();
+  const subcellSize = cellSize / SUBDIVISIONS;
+  if (subcellSize >= MIN_CELL_SIZE) {
+    cells.forEach((cell, key) => {
+      if (cell.length > CELL_CAPACITY) dense.set(key, buildGrid(agents, cell, subcellSize));
+    });
+  }
+  return { cellSize, cells, bounds, dense };
+};
+
+/* --------------------------
+   createSpatialIndex
+   Buckets agents by SPATIAL_CELL sized cells.
+-------------------------- */
+export const createSpatialIndex = (agents, cellSize = SIMULATION_CONFIG.SPATIAL_CELL) => ({
+  agents,
+  ...buildGrid(
+    agents,
+    agents.map((_, i) => i),
+    cellSize
+  ),
+});
+
+/* --------------------------
+   queryRadius
+   Indexed agents within `radius` of (x, y), in list order.
+-------------------------- */
+export const queryRadius = (index, x, y, radius) => {
+  const { agents, cellSize, cells, bounds } = index;
+  const minCol = Math.max(bounds.minCol, Math.floor((x - radius) / cellSize));
+  const maxCol = Math.min(bounds.maxCol, Math.floor((x + radius) / cellSize));
+  const minRow = Math.max(bounds.minRow, Math.floor((y - radius) / cellSize));
+  const maxRow = Math.min(bounds.maxRow, Math.floor((y + radius) / cellSize));
+  const found = [];
+  for (let col = minCol; col <= maxCol; col++) {
+    for (let row = minRow; row <= maxRow; row++) {
+      const cell = cells.get(cellKey(col, row));
+      if (!cell) continue;
+      for (const i of cell) {
+        const agent = agents[i];
+        if (Math.hypot(agent.x - x, agent.y - y) <= radius) found.push(i);
+      }
+    }
+  }
+  return found.sort((a, b) => a - b).map((i) => agents[i]);
+};
+
+/* --------------------------
+   nearestInIndex
+   The indexed agent closest to `agent`, as findNearest
+   (behavior.js) would pick it from the indexed list; null when
+   the index is empty.
+   Searches rings of cells outward and stops once a ring can't
+   hold anything closer than the best found. Dense cells are
+   searched through their subgrids, down to MIN_CELL_SIZE.
+-------------------------- */
+export const nearestInIndex = (index, agent) => {
+  const { agents } = index;
+  if (agents.length === 0) return null;
+  let best = -1;
+  let bestDistance = Infinity;
+
+  const visit = (grid, col, row) => {
+    const key = cellKey(col, row);
+    const cell = grid.cells.get(key);
+    if (!cell) return;
+    // Skip cells lying wholly farther out than the best so far (with
+    // slack for rounding, so exact ties still reach the earlier agent)
+    const size = grid.cellSize;
+    const dx = Math.max(col * size - agent.x, 0, agent.x - (col + 1) * size);
+    const dy = Math.max(row * size - agent.y, 0, agent.y - (row + 1) * size);
+    if (Math.hypot(dx, dy) > bestDistance + 1e-6) return;
+    const subgrid = grid.dense.get(key);
+    if (subgrid) {
+      // Start from the subcell closest to the agent
+      const { minCol, maxCol, minRow, maxRow } = subgrid.bounds;
+      search(
+        subgrid,
+        Math.min(maxCol, Math.max(minCol, Math.floor(agent.x / subgrid.cellSize))),
+        Math.min(maxRow, Math.max(minRow, Math.floor(agent.y / subgrid.cellSize)))
+      );
+      return;
+    }
+    for (const i of cell) {
+      const distance = Math.hypot(agents[i].x - agent.x, agents[i].y - agent.y);
+      if (distance < bestDistance || (distance === bestDistance && i < best)) {
+        best = i;
+        bestDistance = distance;
+      }
+    }
+  };
+
+  const search = (grid, col0, row0) => {
+    const { cellSize, bounds } = grid;
+    for (let ring = 0; ; ring++) {
+      // Anything in this ring is at least (ring - 1) cells away
+      if (best !== -1 && (ring - 1) * cellSize > bestDistance) break;
+      if (
+        col0 - ring < bounds.minCol &&
+        col0 + ring > bounds.maxCol &&
+        row0 - ring < bounds.minRow &&
+        row0 + ring > bounds.maxRow
+      ) {
+        break;
+      }
+      for (let col = col0 - ring; col <= col0 + ring; col++) {
+        visit(grid, col, row0 - ring);
+        if (ring > 0) visit(grid, col, row0 + ring);
+      }
+      for (let row = row0 - ring + 1; row <= row0 + ring - 1; row++) {
+        visit(grid, col0 - ring, row);
+        visit(grid, col0 + ring, row);
+      }
+    }
+  };
+
+  search(index, Math.floor(agent.x / index.cellSize), Math.floor(agent.y / index.cellSize));
+  // Only unmeasurable (NaN) positions leave nothing found
+  return best === -1 ? agents[0] : agents[best];
+};
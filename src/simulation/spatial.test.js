@@ -0,0 +1,31 @@
+/* ============================================================
+   Tests: nearestInIndex
+   - Picks what findNearest picks from the indexed list, also
+     in crowds dense enough to subdivide their cells.
+============================================================ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { findNearest } from "./behavior.js";
+import { createRng } from "./random.js";
+import { createSpatialIndex, nearestInIndex } from "./spatial.js";
+
+// n agents scattered over a size x size square at (x0, y0)
+const scatter = (rng, n, x0, y0, size) =>
+  Array.from({ length: n }, (_, i) => ({ id: i, x: x0 + rng() * size, y: y0 + rng() * size }));
+
+test("nearestInIndex matches findNearest in a dense crowd", () => {
+  const rng = createRng(7);
+  const targets = scatter(rng, 2000, 0, 0, 120);
+  const index = createSpatialIndex(targets);
+  assert.ok(index.dense.size > 0);
+  for (const agent of scatter(rng, 200, -40, -40, 200)) {
+    assert.equal(nearestInIndex(index, agent), findNearest(agent, targets));
+  }
+});
+
+test("nearestInIndex breaks exact ties toward the earlier agent", () => {
+  const stacked = Array.from({ length: 40 }, (_, i) => ({ id: i, x: 50, y: 50 }));
+  const targets = [{ id: "far", x: 300, y: 300 }, ...stacked];
+  const index = createSpatialIndex(targets);
+  assert.equal(nearestInIndex(index, { x: 51, y: 50 }), targets[1]);
+});
@@ -0,0 +1,26 @@
+/* ============================================================
+   Ref-driven Stepping
+   - The step function a frame loop holds for a whole run. It
+     reads the latest state and tick inputs through refs (plain
+     { current } holders, as React's useRef returns) at every
+     call, so slider changes reach the next tick without the
+     loop restarting.
+============================================================ */
+import { step } from "./engine.js";
+
+/* --------------------------
+   createStepper
+   Returns stepSimulation(dt, controls?), which advances
+   stateRef.current by one tick with inputsRef.current and
+   returns the next state. controls, when given, overrides
+   inputs for that tick (a controller's { strategy }, or a
+   plan's strategy, theaterStrategies and tactics).
+   onStep(next, inputs, dt) runs before the caller moves
+   stateRef on.
+-------------------------- */
+export const createStepper = (stateRef, inputsRef, onStep) => (dt, controls) => {
+  const inputs = controls === undefined ? inputsRef.current : { ...inputsRef.current, ...controls };
+  const next = step(stateRef.current, inputs, dt);
+  onStep(next, inputs, dt);
+  return next;
+};
@@ -0,0 +1,99 @@
+/* ============================================================
+   Tests: createStepper
+   - Sliders moved mid-run reach the next tick through the
+     inputs ref, from the step function the loop already holds.
+   - Per-tick controls (a strategy, or a followed plan's
+     inputs) override the ref's for that tick.
+============================================================ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DEFAULT_VICTORY_CONDITIONS } from "./config.js";
+import { createInitialState, step } from "./engine.js";
+import { planInputs } from "./optimizer.js";
+import { createStepper } from "./stepper.js";
+
+const DT = 0.1;
+
+const policy = { forceLevel: 100, roe: "standard", commanderIntent: "balanced", riskTolerance: 50 };
+const logistics = { supplyRate: 100, maintenanceLevel: 100, commsReliability: 100, transportCapacity: 100 };
+const inputs = {
+  strategy: "direct",
+  theaterStrategies: {},
+  policy,
+  logistics,
+  victory: DEFAULT_VICTORY_CONDITIONS,
+};
+
+const bluePositions = (state) =>
+  state.theaters.flatMap((theater) =>
+    theater.agents.filter((a) => a.team === "blue").map((a) => [a.x, a.y])
+  );
+
+// A run as the frame loop sees it: the step function is made once
+// and every tick goes through it
+const startRun = () => {
+  const stateRef = { current: createInitialState("multi-theater", 42) };
+  const inputsRef = { current: inputs };
+  const used = [];
+  const stepSimulation = createStepper(stateRef, inputsRef, (next, tickInputs) => {
+    used.push(tickInputs);
+    stateRef.current = next;
+  });
+  const runTicks = (ticks, controls) => {
+    for (let i = 0; i < ticks; i++) stepSimulation(DT, controls);
+  };
+  return { stateRef, inputsRef, used, runTicks };
+};
+
+const movedMidRun = (moved) => {
+  const run = startRun();
+  run.runTicks(3);
+  const before = run.stateRef.current;
+
+  // The next render refreshes the ref; the loop keeps going
+  run.inputsRef.current = moved;
+  run.runTicks(1);
+
+  assert.equal(run.used.length, 4);
+  assert.equal(run.used[3], moved);
+  assert.ok(Math.abs(run.stateRef.current.time - 4 * DT) < 1e-9);
+  assert.deepEqual(run.stateRef.current, step(before, moved, DT));
+  assert.notDeepEqual(
+    bluePositions(run.stateRef.current),
+    bluePositions(step(before, inputs, DT))
+  );
+};
+
+test("a policy slider moved mid-run alters the next tick", () => {
+  movedMidRun({ ...inputs, policy: { ...policy, roe: "defensive" } });
+});
+
+test("a logistics slider moved mid-run alters the next tick", () => {
+  movedMidRun({ ...inputs, logistics: { ...logistics, transportCapacity: 20 } });
+});
+
+test("a per-tick strategy overrides the ref's strategy", () => {
+  const run = startRun();
+  run.runTicks(1, { strategy: "flank" });
+  assert.equal(run.used[0].strategy, "flank");
+  assert.equal(run.used[0].policy, policy);
+});
+
+test("a followed plan's controls set the tick's strategies and tactics", () => {
+  const run = startRun();
+  const plan = {
+    strategies: ["flank", "dispersed", "direct"],
+    followUp: null,
+    switchTime: 0,
+    tactics: { flankAngle: 1.2, speedScale: 1.3, standoff: 60 },
+  };
+  const before = run.stateRef.current;
+  run.runTicks(1, planInputs(plan, 0, {}));
+  assert.equal(run.used[0].theaterStrategies, plan.strategies);
+  assert.equal(run.used[0].tactics, plan.tactics);
+  assert.equal(run.used[0].policy, policy);
+  assert.notDeepEqual(
+    bluePositions(run.stateRef.current),
+    bluePositions(step(before, inputs, DT))
+  );
+});
@@ -0,0 +1,159 @@
+/* ============================================================
+   Sensitivity Sweeps
+   - Varies one or two policy / logistics settings across a grid
+     and runs headless simulations from the start of the scenario
+     for each cell, with the same SWEEP_SEEDS seeds in every cell
+     so differences come from the settings, not the draw.
+   - Each run lasts up to SWEEP_HORIZON simulated seconds. A cell
+     reports the share of runs that cleared the red force and the
+     blue casualties (units lost, reserves included).
+   - sweep: { x: { key, values }, y: { key, values } | null }
+     A one-parameter sweep has a single row.
+============================================================ */
+import { SIMULATION_CONFIG } from "./config.js";
+import { createInitialState } from "./engine.js";
+import { rollout, summarize } from "./evaluation.js";
+import { deriveSeed } from "./random.js";
+
+/* --------------------------
+   Sweepable settings
+   group: which inputs object the setting belongs to
+   modes: the modes whose rules read it (null = every mode);
+          sweeping it anywhere else leaves every cell the same
+-------------------------- */
+export const SWEEP_PARAMETERS = {
+  forceLevel: { name: "Force Level", group: "policy", min: 20, max: 100, modes: null },
+  riskTolerance: {
+    name: "Risk Tolerance",
+    group: "policy",
+    min: 0,
+    max: 100,
+    modes: ["standard", "multi-theater", "resources", "fog-of-war", "campaign"],
+  },
+  supplyRate: {
+    name: "Supply Rate",
+    group: "logistics",
+    min: 0,
+    max: 100,
+    modes: ["resources", "campaign"],
+  },
+  maintenanceLevel: { name: "Maintenance", group: "logistics", min: 0, max: 100, modes: null },
+  commsReliability: {
+    name: "Comms Reliability",
+    group: "logistics",
+    min: 0,
+    max: 100,
+    modes: ["multi-theater", "fog-of-war"],
+  },
+  transportCapacity: {
+    name: "Transport Capacity",
+    group: "logistics",
+    min: 0,
+    max: 100,
+    modes: ["multi-theater", "resources", "campaign"],
+  },
+};
+
+/* --------------------------
+   sweepParameters
+   Keys of the settings a mode's rules read.
+-------------------------- */
+export const sweepParameters = (mode) =>
+  Object.keys(SWEEP_PARAMETERS).filter((key) => {
+    const { modes } = SWEEP_PARAMETERS[key];
+    return modes === null || modes.includes(mode);
+  });
+
+/* --------------------------
+   sweepValues
+   SWEEP_STEPS evenly spaced values across a setting's range.
+-------------------------- */
+export const sweepValues = (key, steps = SIMULATION_CONFIG.SWEEP_STEPS) => {
+  const { min, max } = SWEEP_PARAMETERS[key];
+  return Array.from({ length: steps }, (_, i) =>
+    Math.round(min + ((max - min) * i) / Math.max(1, steps - 1))
+  );
+};
+
+/* --------------------------
+   createSweep
+   Grid over xKey, and yKey when given.
+-------------------------- */
+export const createSweep = (xKey, yKey = null) => ({
+  x: { key: xKey, values: sweepValues(xKey) },
+  y: yKey ? { key: yKey, values: sweepValues(yKey) } : null,
+});
+
+/* --------------------------
+   sweepCells
+   One entry per grid cell, row by row:
+   [{ row, column, policy, logistics }] with the swept values
+   written over the base policy and logistics.
+-------------------------- */
+export const sweepCells = (sweep, policy, logistics) => {
+  const rows = sweep.y ? sweep.y.values : [null];
+  const apply = (settings, key, value) => {
+    if (key === null) return;
+    settings[SWEEP_PARAMETERS[key].group][key] = value;
+  };
+  return rows.flatMap((rowValue, row) =>
+    sweep.x.values.map((columnValue, column) => {
+      const settings = { policy: { ...policy }, logistics: { ...logistics } };
+      apply(settings, sweep.x.key, columnValue);
+      apply(settings, sweep.y ? sweep.y.key : null, rowValue);
+      return { row, column, ...settings };
+    })
+  );
+};
+
+/* --------------------------
+   runSweepCell
+   Runs one grid cell.
+   cell: { mode, scenario, strategy, policy, logistics, seed }
+   Returns { successRate, casualties: { mean, ci } }.
+-------------------------- */
+export const runSweepCell = ({ mode, scenario, strategy, policy, logistics, seed }) => {
+  const inputs = { strategy, policy, logistics };
+  const outcomes = [];
+  for (let i = 0; i < SIMULATION_CONFIG.SWEEP_SEEDS; i++) {
+    const runSeed = deriveSeed(seed, `sweep-${i}`);
+    const state = createInitialState(mode, runSeed, scenario, policy.forceLevel);
+    const outcome = rollout(state, () => inputs, runSeed, SIMULATION_CONFIG.SWEEP_HORIZON);
+    outcomes.push({ success: outcome.timeToObjective !== null, casualties: outcome.blueLosses });
+  }
+  return {
+    successRate: outcomes.filter((o) => o.success).length / outcomes.length,
+    casualties: summarize(outcomes.map((o) => o.casualties)),
+  };
+};
+
+/* --------------------------
+   runSweep
+   Runs every cell of a sweep on a worker pool (workerPool.js).
+   base: { mode, scenario, strategy, policy, logistics }
+   - onCell({ row, column, result }) streams finished cells
+     until isCancelled() is true; terminate the pool to stop
+     the cells still queued.
+   Resolves with [{ row, column, result }].
+-------------------------- */
+export const runSweep = async ({
+  pool,
+  sweep,
+  base,
+  seed,
+  isCancelled = () => false,
+  onCell = () => {},
+}) => {
+  const { mode, scenario, strategy } = base;
+  return Promise.all(
+    sweepCells(sweep, base.policy, base.logistics).map(({ row, column, policy, logistics }) =>
+      pool
+        .run({ sweepCell: { mode, scenario, strategy, policy, logistics, seed } })
+        .then((result) => {
+          const cell = { row, column, result };
+          if (!isCancelled()) onCell(cell);
+          return cell;
+        })
+    )
+  );
+};
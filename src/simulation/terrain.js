@@ -0,0 +1,128 @@
+/* ============================================================
+   Terrain
+   - Each battlespace (a Multi-Theater theater, or the single
+     canvas) has a grid of TERRAIN_CELL-sized cells, each with a
+     type from TERRAIN_TYPES and an elevation (0-1).
+   - Rough ground and forest slow movement, forest gives cover,
+     obstacles are impassable and block line of sight, and
+     higher ground between two points hides them from each other.
+   - terrain: { cols, rows, cell, types: [type], elevation: [n] }
+     stored row-major in plain arrays so states stay cloneable.
+   - A null terrain is open, flat ground.
+============================================================ */
+import { SIMULATION_CONFIG, TERRAIN_TYPES } from "./config.js";
+
+// Eye height above the ground for line-of-sight checks
+const SIGHT_HEIGHT = 0.05;
+
+/* --------------------------
+   cellIndex
+   Row-major index of the cell holding (x, y).
+-------------------------- */
+export const cellIndex = (terrain, x, y) => {
+  const col = Math.min(terrain.cols - 1, Math.max(0, Math.floor(x / terrain.cell)));
+  const row = Math.min(terrain.rows - 1, Math.max(0, Math.floor(y / terrain.cell)));
+  return row * terrain.cols + col;
+};
+
+export const terrainAt = (terrain, x, y) =>
+  terrain ? terrain.types[cellIndex(terrain, x, y)] : "open";
+
+export const elevationAt = (terrain, x, y) =>
+  terrain ? terrain.elevation[cellIndex(terrain, x, y)] : 0;
+
+export const speedFactorAt = (terrain, x, y) => TERRAIN_TYPES[terrainAt(terrain, x, y)].speed;
+
+export const coverAt = (terrain, x, y) => TERRAIN_TYPES[terrainAt(terrain, x, y)].cover;
+
+export const isPassable = (terrain, x, y) => speedFactorAt(terrain, x, y) > 0;
+
+/* --------------------------
+   hasLineOfSight
+   False when an obstacle, or ground higher than the sight line,
+   lies between the two points. Samples every half cell; the
+   endpoints' own cells never block.
+-------------------------- */
+export const hasLineOfSight = (terrain, from, to) => {
+  if (!terrain) return true;
+  const distance = Math.hypot(to.x - from.x, to.y - from.y);
+  const samples = Math.floor(distance / (terrain.cell / 2));
+  const fromCell = cellIndex(terrain, from.x, from.y);
+  const toCell = cellIndex(terrain, to.x, to.y);
+  const fromHeight = terrain.elevation[fromCell] + SIGHT_HEIGHT;
+  const toHeight = terrain.elevation[toCell] + SIGHT_HEIGHT;
+
+  for (let i = 1; i < samples; i++) {
+    const t = i / samples;
+    const index = cellIndex(terrain, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t);
+    if (index === fromCell || index === toCell) continue;
+    if (terrain.types[index] === "obstacle") return false;
+    if (terrain.elevation[index] > fromHeight + (toHeight - fromHeight) * t) return false;
+  }
+  return true;
+};
+
+/* --------------------------
+   generateTerrain
+   Random patches of rough ground, forest and obstacles (painted
+   in that order, so obstacles win) over rolling hills.
+-------------------------- */
+export const generateTerrain = (rng) => {
+  const cell = SIMULATION_CONFIG.TERRAIN_CELL;
+  const cols = Math.ceil(SIMULATION_CONFIG.GRID_SIZE / cell);
+  const rows = cols;
+  const types = new Array(cols * rows).fill("open");
+
+  Object.entries(SIMULATION_CONFIG.TERRAIN_PATCHES).forEach(([type, count]) => {
+    for (let p = 0; p < count; p++) {
+      const cx = rng() * cols;
+      const cy = rng() * rows;
+      const rx = 1 + rng() * 2.5;
+      const ry = 1 + rng() * 2.5;
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          if (((col + 0.5 - cx) / rx) ** 2 + ((row + 0.5 - cy) / ry) ** 2 <= 1) {
+            types[row * cols + col] = type;
+          }
+        }
+      }
+    }
+  });
+
+  const hills = [];
+  for (let h = 0; h < SIMULATION_CONFIG.TERRAIN_HILLS; h++) {
+    hills.push({ x: rng() * cols, y: rng() * rows, spread: 2 + rng() * 4, height: 0.4 + rng() * 0.6 });
+  }
+  const raw = types.map((_, index) => {
+    const col = (index % cols) + 0.5;
+    const row = Math.floor(index / cols) + 0.5;
+    return hills.reduce(
+      (sum, hill) =>
+        sum + hill.height * Math.exp(-((col - hill.x) ** 2 + (row - hill.y) ** 2) / (2 * hill.spread ** 2)),
+      0
+    );
+  });
+  const peak = Math.max(...raw) || 1;
+
+  return { cols, rows, cell, types, elevation: raw.map((e) => e / peak) };
+};
+
+/* --------------------------
+   clearTerrain
+   Opens obstacle cells under and around the given agents so
+   nobody starts walled in.
+-------------------------- */
+export const clearTerrain = (terrain, agents) => {
+  const types = [...terrain.types];
+  agents.forEach((agent) => {
+    const col = Math.floor(agent.x / terrain.cell);
+    const row = Math.floor(agent.y / terrain.cell);
+    for (let r = row - 1; r <= row + 1; r++) {
+      for (let c = col - 1; c <= col + 1; c++) {
+        if (r < 0 || c < 0 || r >= terrain.rows || c >= terrain.cols) continue;
+        if (types[r * terrain.cols + c] === "obstacle") types[r * terrain.cols + c] = "open";
+      }
+    }
+  });
+  return { ...terrain, types };
+};
@@ -0,0 +1,78 @@
+/* ============================================================
+   Unit Types
+   - Every agent carries a type from UNIT_TYPES; agents without
+     one (older scenarios and states) fight as infantry.
+   - Stats scale the team baseline: movement in navigation.js,
+     fire range and damage here, sensors in sensors.js.
+   - Air units ignore terrain: they fly over obstacles and rough
+     ground, see and are seen over hills, and get no cover.
+============================================================ */
+import { FORCE_MIX, SIMULATION_CONFIG, UNIT_TYPES } from "./config.js";
+import { hasLineOfSight } from "./terrain.js";
+
+export const DEFAULT_UNIT_TYPE = "infantry";
+
+export const unitType = (agent) => UNIT_TYPES[agent.type] || UNIT_TYPES[DEFAULT_UNIT_TYPE];
+
+export const isAir = (agent) => unitType(agent).air;
+
+/* --------------------------
+   rollUnitType
+   Random type for a spawned unit, drawn from the team's
+   FORCE_MIX.
+-------------------------- */
+export const rollUnitType = (team, rng) => {
+  const mix = Object.entries(FORCE_MIX[team]);
+  let roll = rng();
+  for (const [type, share] of mix) {
+    roll -= share;
+    if (roll < 0) return type;
+  }
+  return mix[mix.length - 1][0];
+};
+
+/* --------------------------
+   engagementRange
+   Fire range in pixels.
+-------------------------- */
+export const engagementRange = (agent) =>
+  SIMULATION_CONFIG.ENGAGEMENT_DISTANCE * unitType(agent).range;
+
+/* --------------------------
+   MAX_ENGAGEMENT_RANGE
+   Longest fire range of any unit type: how far out fire
+   queries on the spatial index look.
+-------------------------- */
+export const MAX_ENGAGEMENT_RANGE =
+  SIMULATION_CONFIG.ENGAGEMENT_DISTANCE *
+  Math.max(...Object.values(UNIT_TYPES).map((type) => type.range));
+
+/* --------------------------
+   hitDamage
+   Damage of one hit by shooter on target before armor and
+   cover: the team's base damage scaled by the shooter's damage,
+   or its antiAir against air units.
+-------------------------- */
+export const hitDamage = (shooter, target) => {
+  const base =
+    shooter.team === "blue" ? SIMULATION_CONFIG.HIT_DAMAGE : SIMULATION_CONFIG.RED_HIT_DAMAGE;
+  const type = unitType(shooter);
+  return base * (isAir(target) ? type.antiAir : type.damage);
+};
+
+/* --------------------------
+   inLineOfSight
+   Terrain line of sight between two agents; always clear when
+   either one is airborne.
+-------------------------- */
+export const inLineOfSight = (terrain, from, to) =>
+  isAir(from) || isAir(to) || hasLineOfSight(terrain, from, to);
+
+/* --------------------------
+   forceCost
+   Total cost of the living units in a list.
+-------------------------- */
+export const forceCost = (agents) =>
+  agents
+    .filter((a) => (a.team === "blue" ? a.active : a.health > 0))
+    .reduce((sum, a) => sum + unitType(a).cost, 0);
@@ -0,0 +1,144 @@
+/* ============================================================
+   Victory Conditions
+   - Decides each battle (a Multi-Theater theater, or the single
+     battlespace) and the engagement as a whole from win/loss
+     conditions (DEFAULT_VICTORY_CONDITIONS for the shape).
+   - A battle is won when its targets are destroyed or its
+     objective areas have been held long enough, and lost when
+     its blue strength falls too low. Decided battles stay
+     decided.
+   - The engagement ends in victory once enough battles are won,
+     and in defeat once too many are lost, overall blue strength
+     falls too low or the time limit passes. Campaign battles
+     are its phases (campaign.js), so there the campaign's own
+     result stands in for the battles.
+   - engagement: { status, reason, time,
+                   battles: [{ name, status, reason, holdTime }] }
+     status: active | victory | defeat (battles: active | won |
+     lost); time is when the engagement was decided.
+============================================================ */
+
+const battleFields = (state) =>
+  state.mode === "multi-theater"
+    ? state.theaters
+    : [{ name: "Battlespace", agents: state.agents, objectives: state.objectives }];
+
+const allAgents = (state) =>
+  state.mode === "multi-theater" ? state.theaters.flatMap((t) => t.agents) : state.agents;
+
+/* --------------------------
+   blueStrength
+   Share (0-100) of a force's blue units still in action,
+   losses included in the whole.
+-------------------------- */
+export const blueStrength = (agents) => {
+  const blue = agents.filter((a) => a.team === "blue");
+  if (blue.length === 0) return 0;
+  return (blue.filter((a) => a.active).length / blue.length) * 100;
+};
+
+/* --------------------------
+   isObjectiveHeld
+   Blue holds an objective area with a unit in action inside it
+   and no living red unit.
+-------------------------- */
+export const isObjectiveHeld = (objective, agents) => {
+  const inside = (a) => Math.hypot(a.x - objective.x, a.y - objective.y) <= objective.radius;
+  return (
+    agents.some((a) => a.team === "blue" && a.active && inside(a)) &&
+    !agents.some((a) => a.team === "red" && a.health > 0 && inside(a))
+  );
+};
+
+/* --------------------------
+   createEngagement
+   Undecided engagement for a fresh state, one battle per
+   theater (none in Campaign mode).
+-------------------------- */
+export const createEngagement = (state) => ({
+  status: "active",
+  reason: null,
+  time: null,
+  battles:
+    state.mode === "campaign"
+      ? []
+      : battleFields(state).map(({ name }) => ({
+          name,
+          status: "active",
+          reason: null,
+          holdTime: 0,
+        })),
+});
+
+/* --------------------------
+   Helper: resolveBattle
+   Advances one battle's objective hold timer by dt and checks
+   the theater conditions against its agents.
+-------------------------- */
+const resolveBattle = (battle, field, conditions, dt) => {
+  if (battle.status !== "active") return battle;
+  const { agents } = field;
+  const objectives = field.objectives || [];
+  const held = objectives.length > 0 && objectives.every((o) => isObjectiveHeld(o, agents));
+  const holdTime = held ? battle.holdTime + dt : 0;
+  const decide = (status, reason) => ({ ...battle, holdTime, status, reason });
+
+  if (conditions.targetsDestroyed && !agents.some((a) => a.team === "red" && a.health > 0)) {
+    return decide("won", "All targets destroyed");
+  }
+  if (conditions.objectiveHoldTime > 0 && held && holdTime + 1e-6 >= conditions.objectiveHoldTime) {
+    return decide("won", `Objectives held for ${conditions.objectiveHoldTime}s`);
+  }
+  if (!agents.some((a) => a.team === "blue" && a.active)) {
+    return decide("lost", "Blue force destroyed");
+  }
+  if (blueStrength(agents) < conditions.minBlueStrength) {
+    return decide("lost", `Blue strength below ${conditions.minBlueStrength}%`);
+  }
+  return { ...battle, holdTime };
+};
+
+/* --------------------------
+   updateEngagement
+   Folds the state after a tick of dt seconds into the
+   engagement. conditions: { theater, overall } as in
+   DEFAULT_VICTORY_CONDITIONS. A decided engagement is returned
+   unchanged.
+-------------------------- */
+export const updateEngagement = (engagement, state, conditions, dt) => {
+  if (engagement.status !== "active") return engagement;
+  const fields = battleFields(state);
+  const battles = engagement.battles.map((battle, index) =>
+    resolveBattle(battle, fields[index], conditions.theater, dt)
+  );
+  const { overall } = conditions;
+  const decide = (status, reason) => ({ status, reason, time: state.time, battles });
+
+  const { campaign } = state;
+  if (campaign && campaign.status !== "active") {
+    return decide(campaign.status, campaign.status === "victory" ? "Campaign won" : "Campaign lost");
+  }
+
+  const won = battles.filter((b) => b.status === "won").length;
+  const lost = battles.filter((b) => b.status === "lost").length;
+  const needed =
+    overall.theatersToWin === "majority" ? Math.floor(battles.length / 2) + 1 : battles.length;
+  const single = battles.length === 1;
+  if (battles.length > 0 && won >= needed) {
+    return decide("victory", single ? battles[0].reason : `${won} of ${battles.length} theaters won`);
+  }
+  if (battles.length > 0 && battles.length - lost < needed) {
+    return decide("defeat", single ? battles[0].reason : `${lost} of ${battles.length} theaters lost`);
+  }
+  if (blueStrength(allAgents(state)) < overall.minBlueStrength) {
+    return decide("defeat", `Blue strength below ${overall.minBlueStrength}%`);
+  }
+  // Small allowance (as for hold times) so float drift in the clock
+  // can't carry a run a tick past the limit
+  if (overall.timeLimit > 0 && state.time + 1e-6 >= overall.timeLimit) {
+    return decide("defeat", `Time limit of ${overall.timeLimit}s reached`);
+  }
+  return { ...engagement, battles };
+};
+
+export const isDecided = (engagement) => engagement.status !== "active";
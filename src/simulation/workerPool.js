@@ -0,0 +1,131 @@
+/* ============================================================
+   COA Worker Pool
+   - Spreads COA rollout jobs (and sensitivity sweep cells and
+     engine benchmarks) across a fixed set of Web Workers
+     (coaWorker.js) and resolves each job's promise as soon as
+     its worker reports back.
+   - Jobs queue while every worker is busy.
+   - Where Web Workers are unavailable (Node scripts, tests) jobs
+     run inline on the calling thread instead.
+============================================================ */
+import { runBenchmarkCase } from "./benchmark.js";
+import { SIMULATION_CONFIG } from "./config.js";
+import { evaluateCOA } from "./evaluation.js";
+import { evaluatePlan } from "./optimizer.js";
+import { runSweepCell } from "./sweep.js";
+
+/* --------------------------
+   runCOAJob
+   Scores one job: a fixed strategy (inputs.strategy), an
+   optimizer plan (job.plan), a sweep cell (job.sweepCell, see
+   sweep.js) or a benchmark size (job.benchmark, see
+   benchmark.js). Shared by the workers and the inline fallback.
+-------------------------- */
+export const runCOAJob = ({ state, inputs, plan, sweepCell, benchmark, seed, rollouts }) => {
+  if (sweepCell) return runSweepCell(sweepCell);
+  if (benchmark) return runBenchmarkCase(benchmark);
+  return plan
+    ? evaluatePlan(state, plan, inputs, seed, rollouts)
+    : evaluateCOA(state, inputs, seed, rollouts);
+};
+
+/* --------------------------
+   defaultPoolSize
+   One worker per spare core, leaving one for rendering.
+-------------------------- */
+export const defaultPoolSize = () =>
+  Math.max(
+    1,
+    Math.min(
+      SIMULATION_CONFIG.COA_MAX_WORKERS,
+      ((typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2) - 1
+    )
+  );
+
+/* --------------------------
+   isPoolTerminated
+   Whether a job was rejected because the pool was terminated
+   (a cancelled run) rather than because the job failed.
+-------------------------- */
+export const isPoolTerminated = (error) => Boolean(error && error.terminated);
+
+const spawnCOAWorker = () =>
+  new Worker(new URL("./coaWorker.js", import.meta.url), { type: "module" });
+
+/* --------------------------
+   createWorkerPool
+   Returns { size, run(job), terminate() }.
+   job: { state, inputs, plan?, seed, rollouts? }, { sweepCell }
+        or { benchmark }
+   run(job) resolves with the runCOAJob result; after
+   terminate() pending jobs reject (see isPoolTerminated).
+-------------------------- */
+export const createWorkerPool = (size = defaultPoolSize(), spawn = spawnCOAWorker) => {
+  if (typeof Worker === "undefined") {
+    return {
+      size: 1,
+      run: (job) => Promise.resolve().then(() => runCOAJob(job)),
+      terminate: () => {},
+    };
+  }
+
+  const workers = [];
+  const idle = [];
+  const queue = [];
+  const pending = new Map(); // job id -> { worker, resolve, reject }
+  let nextId = 0;
+
+  const drain = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const { job, resolve, reject } = queue.shift();
+      const id = nextId++;
+      pending.set(id, { worker, resolve, reject });
+      worker.postMessage({ id, ...job });
+    }
+  };
+
+  const settle = (id, settleJob) => {
+    const entry = pending.get(id);
+    if (!entry) return;
+    pending.delete(id);
+    idle.push(entry.worker);
+    settleJob(entry);
+    drain();
+  };
+
+  for (let i = 0; i < size; i++) {
+    const worker = spawn();
+    worker.onmessage = ({ data }) =>
+      settle(data.id, ({ resolve, reject }) =>
+        data.error ? reject(new Error(data.error)) : resolve(data.evaluation)
+      );
+    worker.onerror = (event) => {
+      for (const [id, entry] of pending) {
+        if (entry.worker === worker) {
+          settle(id, ({ reject }) => reject(new Error(event.message || "COA worker failed")));
+        }
+      }
+    };
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  return {
+    size,
+    run: (job) =>
+      new Promise((resolve, reject) => {
+        queue.push({ job, resolve, reject });
+        drain();
+      }),
+    terminate: () => {
+      workers.forEach((worker) => worker.terminate());
+      const error = Object.assign(new Error("COA worker pool terminated"), { terminated: true });
+      pending.forEach(({ reject }) => reject(error));
+      queue.forEach(({ reject }) => reject(error));
+      pending.clear();
+      queue.length = 0;
+      idle.length = 0;
+    },
+  };
+};
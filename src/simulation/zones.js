@@ -0,0 +1,15 @@
+/* ============================================================
+   No-Go Zones
+   - Rectangular areas, drawn in the scenario editor or read
+     from scenario files, that blue forces must not enter.
+     Red movement is unaffected.
+   - Movement and routing around zones live in navigation.js;
+     agents that start inside a zone may leave it.
+   - zone: { name, x, y, width, height } with (x, y) the
+     top-left corner
+============================================================ */
+/* --------------------------
+   isInZone
+-------------------------- */
+export const isInZone = (x, y, zone) =>
+  x >= zone.x && x <= zone.x + zone.width && y >= zone.y && y <= zone.y + zone.height;